@@ -4,6 +4,7 @@
 import '@kitware/vtk.js/Rendering/OpenGL/Profiles/Volume';
 import '@kitware/vtk.js/Rendering/OpenGL/Profiles/Geometry';
 import '@kitware/vtk.js/Rendering/OpenGL/Profiles/Glyph';
+import '@kitware/vtk.js/Rendering/OpenGL/Profiles/Molecule';
 
 // Data access helper
 import '@kitware/vtk.js/IO/Core/DataAccessHelper/HttpDataAccessHelper';
@@ -34,3 +35,19 @@ import '@kitware/vtk.js/IO/Misc/PDBReader.js';
 // bring zip (big++)
 import '@kitware/vtk.js/IO/XML/XMLImageDataReader.js';
 import '@kitware/vtk.js/IO/XML/XMLPolyDataReader.js';
+
+// Readers defined in react-vtk-js
+import './io/LegacyVTKReader';
+import './io/XMLUnstructuredGridReader';
+
+// Reader classes to use for a given file extension
+export const READERS_BY_EXTENSION = {
+  obj: 'vtkOBJReader',
+  pdb: 'vtkPDBReader',
+  ply: 'vtkPLYReader',
+  stl: 'vtkSTLReader',
+  vti: 'vtkXMLImageDataReader',
+  vtk: 'vtkLegacyVTKReader',
+  vtp: 'vtkXMLPolyDataReader',
+  vtu: 'vtkXMLUnstructuredGridReader',
+};
@@ -0,0 +1,40 @@
+import Measure from './Measure';
+
+import vtkMath from '@kitware/vtk.js/Common/Core/Math.js';
+
+/**
+ * AngleMeasure shows the angle (in degrees) at the second of three points
+ * placed by clicking on the representations of the View.
+ * It takes the following set of properties:
+ *   - points: [[x, y, z], [x, y, z], [x, y, z]]
+ *   - units: '°'
+ *   - onChange: (points, angle) => {}
+ */
+export default class AngleMeasure extends Measure {
+  get minNumberOfPoints() {
+    return 3;
+  }
+
+  get maxNumberOfPoints() {
+    return 3;
+  }
+
+  computeValue([p1, vertex, p2]) {
+    const v1 = [0, 0, 0];
+    const v2 = [0, 0, 0];
+    vtkMath.subtract(p1, vertex, v1);
+    vtkMath.subtract(p2, vertex, v2);
+    return vtkMath.degreesFromRadians(vtkMath.angleBetweenVectors(v1, v2));
+  }
+
+  getLabelPosition(points) {
+    return points[1];
+  }
+}
+
+AngleMeasure.defaultProps = {
+  ...Measure.defaultProps,
+  units: '°',
+};
+
+AngleMeasure.propTypes = Measure.propTypes;
@@ -0,0 +1,175 @@
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+
+import { ViewContext } from './View';
+
+import { debounce } from '@kitware/vtk.js/macros.js';
+
+const ANNOTATION_STYLE = {
+  position: 'absolute',
+  left: '0px',
+  top: '0px',
+  zIndex: 1,
+};
+
+// Depth difference below which the anchor is considered on the surface
+const DEPTH_TOLERANCE = 0.001;
+
+/**
+ * Annotation is rendering its children in an overlay on top of the View.
+ * The overlay top left corner follows the projection of a point in world
+ * coordinates and is hidden when that point is behind the camera or outside
+ * of the viewport.
+ * It takes the following set of properties:
+ *   - position: [x, y, z]
+ *   - occlusion: false
+ *   - style: {}
+ */
+export default class Annotation extends Component {
+  constructor(props) {
+    super(props);
+
+    this.containerRef = React.createRef();
+    this.subscriptions = [];
+    this.displayPosition = null;
+    this.occluded = false;
+
+    this.updatePosition = () => this.computePosition();
+    this.testOcclusion = debounce(() => this.computeOcclusion(), 100);
+  }
+
+  render() {
+    const { id, className, style, children } = this.props;
+    return (
+      <ViewContext.Consumer>
+        {(view) => {
+          this.view = view;
+          return (
+            <div
+              key={id}
+              id={id}
+              className={className}
+              style={{ ...ANNOTATION_STYLE, ...style, display: 'none' }}
+              ref={this.containerRef}
+            >
+              {children}
+            </div>
+          );
+        }}
+      </ViewContext.Consumer>
+    );
+  }
+
+  componentDidMount() {
+    const { camera, openglRenderWindow } = this.view;
+    this.subscriptions.push(camera.onModified(this.updatePosition));
+    this.subscriptions.push(openglRenderWindow.onModified(this.updatePosition));
+    this.computePosition();
+  }
+
+  componentDidUpdate(prevProps, prevState, snapshot) {
+    // The anchor or the occlusion setting may have changed
+    this.computePosition();
+  }
+
+  componentWillUnmount() {
+    while (this.subscriptions.length) {
+      this.subscriptions.pop().unsubscribe();
+    }
+    this.testOcclusion.cancel();
+  }
+
+  computePosition() {
+    const container = this.containerRef.current;
+    const { renderer, openglRenderWindow } = this.view;
+    const viewContainer = openglRenderWindow.getContainer();
+    if (!container || !viewContainer) {
+      return;
+    }
+
+    const { position } = this.props;
+    const [width, height] = openglRenderWindow.getSize();
+    const [x, y, z] = openglRenderWindow.worldToDisplay(...position, renderer);
+    const [xmin, ymin, xmax, ymax] = renderer.getViewport();
+    const inFront = renderer.worldToView(...position)[2] < 0;
+    const inViewport =
+      x >= xmin * width &&
+      x <= xmax * width &&
+      y >= ymin * height &&
+      y <= ymax * height;
+
+    this.displayPosition = inFront && inViewport ? [x, y, z] : null;
+    if (this.displayPosition && this.props.occlusion) {
+      this.testOcclusion();
+    } else {
+      this.occluded = false;
+    }
+
+    // Display coordinates are in pixels of the render window from the bottom
+    const { clientWidth, clientHeight } = viewContainer;
+    container.style.left = `${(x * clientWidth) / width}px`;
+    container.style.top = `${clientHeight - (y * clientHeight) / height}px`;
+    this.updateVisibility();
+  }
+
+  computeOcclusion() {
+    if (!this.displayPosition || !this.props.occlusion) {
+      return;
+    }
+
+    const [x, y, z] = this.displayPosition;
+    const depth = this.view.getDisplayDepth(x, y);
+    this.occluded = depth < z - DEPTH_TOLERANCE;
+    this.updateVisibility();
+  }
+
+  updateVisibility() {
+    const container = this.containerRef.current;
+    if (container) {
+      const visible = this.displayPosition !== null && !this.occluded;
+      container.style.display = visible ? '' : 'none';
+    }
+  }
+}
+
+Annotation.defaultProps = {
+  position: [0, 0, 0],
+  occlusion: false,
+};
+
+Annotation.propTypes = {
+  /**
+   * The ID used to identify this component.
+   */
+  id: PropTypes.string,
+
+  /**
+   * World coordinates of the point the annotation is anchored to
+   */
+  position: PropTypes.arrayOf(PropTypes.number),
+
+  /**
+   * Hide the annotation when its anchor is hidden by rendered geometry.
+   * The depth buffer is tested once the camera stops moving.
+   */
+  occlusion: PropTypes.bool,
+
+  /**
+   * Style of the overlay. Use a transform to move the annotation
+   * relative to its anchor, e.g. { transform: 'translate(-50%, -100%)' }
+   */
+  style: PropTypes.object,
+
+  /**
+   * Class name of the overlay
+   */
+  className: PropTypes.string,
+
+  /**
+   * Content of the annotation
+   */
+  children: PropTypes.oneOfType([
+    PropTypes.arrayOf(PropTypes.node),
+    PropTypes.node,
+  ]),
+};
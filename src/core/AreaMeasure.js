@@ -0,0 +1,51 @@
+import Measure from './Measure';
+
+import vtkMath from '@kitware/vtk.js/Common/Core/Math.js';
+
+/**
+ * AreaMeasure shows the area of a polygon placed by clicking on the
+ * representations of the View. Clicking the first point again closes the
+ * polygon.
+ * It takes the following set of properties:
+ *   - points: [[x, y, z], ...]
+ *   - units: ''
+ *   - onChange: (points, area) => {}
+ */
+export default class AreaMeasure extends Measure {
+  get minNumberOfPoints() {
+    return 3;
+  }
+
+  get maxNumberOfPoints() {
+    return Infinity;
+  }
+
+  get closed() {
+    return true;
+  }
+
+  isComplete(points) {
+    return points.length >= this.minNumberOfPoints;
+  }
+
+  computeValue(points) {
+    // Half the norm of the sum of the edge cross products (Newell's method)
+    const normal = [0, 0, 0];
+    const cross = [0, 0, 0];
+    points.forEach((point, i) => {
+      vtkMath.cross(point, points[(i + 1) % points.length], cross);
+      vtkMath.add(normal, cross, normal);
+    });
+    return vtkMath.norm(normal) / 2;
+  }
+
+  getLabelPosition(points) {
+    const center = [0, 0, 0];
+    points.forEach((point) => vtkMath.add(center, point, center));
+    return center.map((v) => v / points.length);
+  }
+}
+
+AreaMeasure.defaultProps = Measure.defaultProps;
+
+AreaMeasure.propTypes = Measure.propTypes;
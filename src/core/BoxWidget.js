@@ -0,0 +1,101 @@
+import PropTypes from 'prop-types';
+
+import Widget from './Widget';
+
+import vtkImageCroppingWidget from '@kitware/vtk.js/Widgets/Widgets3D/ImageCroppingWidget.js';
+
+const IDENTITY = [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1];
+
+// Handle size relative to the box diagonal
+const HANDLE_SCALE = 0.03;
+
+/**
+ * BoxWidget is an axis aligned box with handles on its faces, edges and
+ * corners to resize it. It is using the vtk.js cropping widget in world
+ * coordinates.
+ * It needs to be nested inside a WidgetManager and takes the following set
+ * of properties:
+ *   - bounds: [xmin, xmax, ymin, ymax, zmin, zmax]
+ *   - faceHandlesEnabled: true
+ *   - edgeHandlesEnabled: true
+ *   - cornerHandlesEnabled: true
+ *   - onChange: ({ bounds }) => {}
+ */
+export default class BoxWidget extends Widget {
+  get stateProperties() {
+    return ['bounds'];
+  }
+
+  createWidget(props) {
+    const widget = vtkImageCroppingWidget.newInstance();
+    widget.getWidgetState().setIndexToWorldT(...IDENTITY);
+    widget.getWidgetState().setWorldToIndexT(...IDENTITY);
+    return widget;
+  }
+
+  update(props, previous) {
+    [
+      'faceHandlesEnabled',
+      'edgeHandlesEnabled',
+      'cornerHandlesEnabled',
+    ].forEach((name) => {
+      if (!previous || props[name] !== previous[name]) {
+        const setter = `set${name[0].toUpperCase()}${name.slice(1)}`;
+        this.widget[setter](props[name]);
+      }
+    });
+
+    super.update(props, previous);
+  }
+
+  getWidgetValue() {
+    const planes = this.widget.getWidgetState().getCroppingPlanes();
+    return { bounds: planes.getPlanes() };
+  }
+
+  setWidgetValue({ bounds }) {
+    const state = this.widget.getWidgetState();
+    const diagonal = Math.sqrt(
+      [0, 1, 2].reduce((sum, i) => {
+        const length = bounds[i * 2 + 1] - bounds[i * 2];
+        return sum + length * length;
+      }, 0)
+    );
+    state
+      .getStatesWithLabel('handles')
+      .forEach((handle) => handle.setScale1(diagonal * HANDLE_SCALE));
+    state.getCroppingPlanes().setPlanes(...bounds);
+  }
+}
+
+BoxWidget.defaultProps = {
+  ...Widget.defaultProps,
+  bounds: [-1, 1, -1, 1, -1, 1],
+  faceHandlesEnabled: true,
+  edgeHandlesEnabled: true,
+  cornerHandlesEnabled: true,
+};
+
+BoxWidget.propTypes = {
+  ...Widget.propTypes,
+
+  /**
+   * Extent of the box [xmin, xmax, ymin, ymax, zmin, zmax]
+   */
+  bounds: PropTypes.arrayOf(PropTypes.number),
+
+  /**
+   * Show the handles at the center of the faces
+   */
+  faceHandlesEnabled: PropTypes.bool,
+
+  /**
+   * Show the handles at the center of the edges
+   */
+  edgeHandlesEnabled: PropTypes.bool,
+
+  /**
+   * Show the handles at the corners
+   */
+  cornerHandlesEnabled: PropTypes.bool,
+};
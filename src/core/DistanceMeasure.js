@@ -0,0 +1,25 @@
+import Measure from './Measure';
+
+import vtkMath from '@kitware/vtk.js/Common/Core/Math.js';
+
+/**
+ * DistanceMeasure shows the distance between two points placed by clicking
+ * on the representations of the View.
+ * It takes the following set of properties:
+ *   - points: [[x, y, z], [x, y, z]]
+ *   - units: ''
+ *   - onChange: (points, distance) => {}
+ */
+export default class DistanceMeasure extends Measure {
+  computeValue([p1, p2]) {
+    return Math.sqrt(vtkMath.distance2BetweenPoints(p1, p2));
+  }
+
+  getLabelPosition([p1, p2]) {
+    return p1.map((v, i) => (v + p2[i]) / 2);
+  }
+}
+
+DistanceMeasure.defaultProps = Measure.defaultProps;
+
+DistanceMeasure.propTypes = Measure.propTypes;
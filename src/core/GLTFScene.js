@@ -0,0 +1,269 @@
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+
+import { ViewContext } from './View';
+import { loadGLTF } from '../io/GLTFLoader';
+
+import vtkActor from '@kitware/vtk.js/Rendering/Core/Actor.js';
+import vtkMapper from '@kitware/vtk.js/Rendering/Core/Mapper.js';
+
+/**
+ * GLTFScene loads a glTF 2.0 (.gltf/.glb) file and adds an actor per
+ * mesh primitive to the renderer of the View.
+ * It takes the following set of properties:
+ *   - url: string
+ *   - visible: bool
+ *   - pickable: bool
+ * Each actor uses the name of its node as representationId so
+ * View.pick reports which node got picked.
+ */
+export default class GLTFScene extends Component {
+  constructor(props) {
+    super(props);
+
+    this.actors = [];
+    this.textures = [];
+
+    // Only the last url loaded gets added to the renderer
+    this.loadRequest = 0;
+  }
+
+  render() {
+    return (
+      <ViewContext.Consumer>
+        {(view) => {
+          this.view = view;
+          return null;
+        }}
+      </ViewContext.Consumer>
+    );
+  }
+
+  componentDidMount() {
+    this.update(this.props);
+  }
+
+  componentDidUpdate(prevProps, prevState, snapshot) {
+    this.update(this.props, prevProps);
+  }
+
+  componentWillUnmount() {
+    this.loadRequest++;
+    this.removeActors();
+  }
+
+  update(props, previous) {
+    const { url, visible, pickable } = props;
+
+    if (url && (!previous || url !== previous.url)) {
+      this.load(url);
+    }
+
+    if (
+      previous &&
+      (visible !== previous.visible || pickable !== previous.pickable)
+    ) {
+      this.actors.forEach((actor) =>
+        actor.set({ visibility: visible, pickable })
+      );
+      if (this.view) {
+        this.view.renderView();
+      }
+    }
+  }
+
+  load(url) {
+    const request = ++this.loadRequest;
+
+    if (this.props.onLoadStart) {
+      this.props.onLoadStart();
+    }
+    if ('setProps' in this.props) {
+      this.props.setProps({ status: 'loading', error: null });
+    }
+
+    // Textures show up once their image is loaded
+    const onImageLoaded = () => {
+      if (request === this.loadRequest && this.view) {
+        this.view.renderView();
+      }
+    };
+
+    loadGLTF(url, onImageLoaded).then(
+      (items) => {
+        if (request === this.loadRequest) {
+          this.loadSucceeded(items);
+        }
+      },
+      (error) => {
+        if (request === this.loadRequest) {
+          this.loadFailed(error);
+        }
+      }
+    );
+  }
+
+  loadSucceeded(items) {
+    this.removeActors();
+
+    const { visible, pickable } = this.props;
+    items.forEach(({ name, polydata, matrix, material }) => {
+      const actor = vtkActor.newInstance({
+        visibility: visible,
+        pickable,
+        representationId: name,
+      });
+      actor.setUserMatrix(matrix);
+
+      const mapper = vtkMapper.newInstance({
+        interpolateScalarsBeforeMapping: false,
+      });
+      mapper.setInputData(polydata);
+      if (polydata.getPointData().getScalars()) {
+        mapper.setColorModeToDirectScalars();
+      } else {
+        mapper.setScalarVisibility(false);
+      }
+      actor.setMapper(mapper);
+
+      actor.getProperty().set({
+        color: material.color,
+        opacity: material.opacity,
+      });
+      if (material.texture) {
+        actor.addTexture(material.texture);
+        if (!this.textures.includes(material.texture)) {
+          this.textures.push(material.texture);
+        }
+      }
+
+      this.actors.push(actor);
+      if (this.view) {
+        this.view.renderer.addActor(actor);
+      }
+    });
+
+    if (this.view) {
+      if (this.props.resetCameraOnUpdate) {
+        this.view.resetCamera();
+      }
+      if (this.props.renderOnUpdate) {
+        this.view.renderView();
+      }
+    }
+
+    const representationIds = this.actors.map((actor) =>
+      actor.get('representationId')
+    );
+    if (this.props.onLoad) {
+      this.props.onLoad(representationIds);
+    }
+    if ('setProps' in this.props) {
+      this.props.setProps({
+        status: 'loaded',
+        error: null,
+        representationIds,
+      });
+    }
+  }
+
+  loadFailed(error) {
+    // Do not keep showing the previous file
+    this.removeActors();
+    if (this.view) {
+      this.view.renderView();
+    }
+
+    if (this.props.onError) {
+      this.props.onError(error);
+    }
+    if ('setProps' in this.props) {
+      this.props.setProps({ status: 'error', error: error.message });
+    }
+  }
+
+  removeActors() {
+    this.actors.forEach((actor) => {
+      if (this.view && this.view.renderer) {
+        this.view.renderer.removeActor(actor);
+      }
+      actor.getMapper().delete();
+      actor.delete();
+    });
+    this.actors = [];
+
+    this.textures.forEach((texture) => texture.delete());
+    this.textures = [];
+  }
+}
+
+GLTFScene.defaultProps = {
+  visible: true,
+  pickable: true,
+  renderOnUpdate: true,
+  resetCameraOnUpdate: true,
+};
+
+GLTFScene.propTypes = {
+  /**
+   * The ID used to identify this component.
+   */
+  id: PropTypes.string,
+
+  /**
+   * url of the .gltf or .glb file to load
+   */
+  url: PropTypes.string,
+
+  /**
+   * Show the actors of the scene
+   */
+  visible: PropTypes.bool,
+
+  /**
+   * Allow View.pick to report the nodes of the scene
+   */
+  pickable: PropTypes.bool,
+
+  /**
+   * User callback function called when the file starts being fetched
+   */
+  onLoadStart: PropTypes.func,
+
+  /**
+   * User callback function called with the representationIds of the
+   * actors once the scene is added to the View
+   */
+  onLoad: PropTypes.func,
+
+  /**
+   * User callback function called with the Error preventing the file
+   * from being loaded
+   */
+  onError: PropTypes.func,
+
+  /**
+   * Read-only loading status: 'loading', 'loaded' or 'error'
+   */
+  status: PropTypes.oneOf(['loading', 'loaded', 'error']),
+
+  /**
+   * Read-only message of the last loading error
+   */
+  error: PropTypes.string,
+
+  /**
+   * Read-only representationId of each actor (node names)
+   */
+  representationIds: PropTypes.arrayOf(PropTypes.string),
+
+  /**
+   * Automatically render on data loaded
+   */
+  renderOnUpdate: PropTypes.bool,
+
+  /**
+   * Automatically reset camera on data loaded
+   */
+  resetCameraOnUpdate: PropTypes.bool,
+};
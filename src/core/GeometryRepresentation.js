@@ -2,7 +2,13 @@ import React, { Component } from 'react';
 import PropTypes from 'prop-types';
 
 import { ViewContext, RepresentationContext, DownstreamContext } from './View';
-import { vec2Equals } from '../utils';
+import {
+  vec2Equals,
+  samplePoints,
+  extractSelection,
+  updateClippingPlanes,
+  createSelectionHighlight,
+} from '../utils';
 
 import vtkActor from '@kitware/vtk.js/Rendering/Core/Actor.js';
 import vtkMapper from '@kitware/vtk.js/Rendering/Core/Mapper.js';
@@ -12,6 +18,16 @@ import vtkColorTransferFunction from '@kitware/vtk.js/Rendering/Core/ColorTransf
 import vtkCubeAxesActor from '@kitware/vtk.js/Rendering/Core/CubeAxesActor.js';
 import vtkScalarBarActor from '@kitware/vtk.js/Rendering/Core/ScalarBarActor.js';
 
+// Mapper settings copied to the level of detail mapper
+const LOD_MAPPER_PROPERTIES = [
+  'colorByArrayName',
+  'colorMode',
+  'scalarMode',
+  'scalarVisibility',
+  'scalarRange',
+  'interpolateScalarsBeforeMapping',
+];
+
 /**
  * GeometryRepresentation is responsible to convert a vtkPolyData into rendering
  * It takes the following set of properties:
@@ -44,7 +60,22 @@ export default class GeometryRepresentation extends Component {
     this.scalarBar.setScalarsToColors(this.lookupTable);
     this.scalarBar.setVisibility(false);
 
+    // Point sampled proxy rendered during interaction
+    this.lodMapper = vtkMapper.newInstance({
+      lookupTable: this.lookupTable,
+      useLookupTableScalarRange: true,
+    });
+    this.lodInputTime = 0;
+    this.lodActive = false;
+
+    // Highlight of the selected points/cells drawn on top of the actor
+    this.highlight = createSelectionHighlight(vtkMapper.newInstance(), {
+      extract: (selection, [input]) =>
+        this.highlight.mapper.setInputData(extractSelection(input, selection)),
+    });
+
     this.subscriptions = [];
+    this.viewSubscriptions = [];
 
     if (props.showCubeAxes) {
       this.initCubeAxes();
@@ -96,7 +127,19 @@ export default class GeometryRepresentation extends Component {
 
             view.renderer.addActor(this.scalarBar);
             view.renderer.addActor(this.actor);
+            view.renderer.addActor(this.highlight.actor);
             this.view = view;
+
+            if (view.style) {
+              this.viewSubscriptions.push(
+                view.style.onStartInteractionEvent(() =>
+                  this.startInteraction()
+                )
+              );
+              this.viewSubscriptions.push(
+                view.style.onEndInteractionEvent(() => this.endInteraction())
+              );
+            }
           }
           return (
             <RepresentationContext.Provider value={this}>
@@ -124,11 +167,14 @@ export default class GeometryRepresentation extends Component {
     while (this.subscriptions.length) {
       this.subscriptions.pop().unsubscribe();
     }
-
+    while (this.viewSubscriptions.length) {
+      this.viewSubscriptions.pop().unsubscribe();
+    }
     if (this.view && this.view.renderer) {
       this.view.renderer.removeActor(this.scalarBar);
       this.view.renderer.removeActor(this.cubeAxes);
       this.view.renderer.removeActor(this.actor);
+      this.view.renderer.removeActor(this.highlight.actor);
     }
 
     this.scalarBar.delete();
@@ -145,6 +191,12 @@ export default class GeometryRepresentation extends Component {
     this.mapper.delete();
     this.mapper = null;
 
+    this.lodMapper.delete();
+    this.lodMapper = null;
+
+    this.highlight.delete();
+    this.highlight = null;
+
     this.lookupTable.delete();
     this.lookupTable = null;
   }
@@ -158,6 +210,9 @@ export default class GeometryRepresentation extends Component {
       property,
       colorMapPreset,
       colorDataRange,
+      selectionStyle,
+      hoverHighlight,
+      clippingPlanes,
     } = props;
     let changed = false;
 
@@ -170,6 +225,30 @@ export default class GeometryRepresentation extends Component {
     if (property && (!previous || property !== previous.property)) {
       changed = this.actor.getProperty().set(property) || changed;
     }
+    if (!previous || clippingPlanes !== previous.clippingPlanes) {
+      [this.mapper, this.lodMapper, this.highlight.mapper].forEach((m) => {
+        changed = updateClippingPlanes(m, clippingPlanes) || changed;
+      });
+    }
+    if (
+      selectionStyle &&
+      (!previous || selectionStyle !== previous.selectionStyle)
+    ) {
+      changed =
+        this.highlight.actor.getProperty().set(selectionStyle) || changed;
+    }
+
+    if (previous && props.selection !== previous.selection) {
+      changed = true;
+    }
+
+    changed =
+      this.highlight.setHoverHighlight(
+        this.view,
+        props.id,
+        hoverHighlight,
+        () => this.dataChanged()
+      ) || changed;
 
     if (
       colorMapPreset &&
@@ -255,11 +334,90 @@ export default class GeometryRepresentation extends Component {
     }
   }
 
+  dataUnavailable() {
+    if (this.validData) {
+      this.validData = false;
+      this.actor.setVisibility(false);
+      this.scalarBar.setVisibility(false);
+      if (this.cubeAxes) {
+        this.cubeAxes.setVisibility(false);
+        this.cubeAxes
+          .getActors()
+          .forEach(({ setVisibility }) => setVisibility(false));
+      }
+
+      // trigger render
+      this.dataChanged();
+    }
+  }
+
   dataChanged() {
+    this.updateSelection();
     if (this.view) {
       this.view.renderView();
     }
   }
+
+  updateSelection() {
+    this.highlight.update(
+      this.actor,
+      this.validData && this.currentVisibility,
+      this.props.selection,
+      [this.mapper.getInputData()]
+    );
+  }
+
+  startInteraction() {
+    const { interactiveLOD, interactivePointBudget } = this.props;
+    const input = this.mapper.getInputData();
+    if (
+      !interactiveLOD ||
+      !input ||
+      input.getNumberOfPoints() <= interactivePointBudget
+    ) {
+      return;
+    }
+
+    // Only sample again when the data has changed
+    if (input.getMTime() !== this.lodInputTime) {
+      this.lodInputTime = input.getMTime();
+      this.lodMapper.setInputData(samplePoints(input, interactivePointBudget));
+    }
+    this.lodMapper.set(this.mapper.get(...LOD_MAPPER_PROPERTIES));
+
+    // The sampled points only carry the point data
+    const {
+      scalarMode,
+      arrayAccessMode,
+      arrayId,
+      colorByArrayName,
+    } = this.mapper.get(
+      'scalarMode',
+      'arrayAccessMode',
+      'arrayId',
+      'colorByArrayName'
+    );
+    const { cellFlag } = this.mapper.getAbstractScalars(
+      input,
+      scalarMode,
+      arrayAccessMode,
+      arrayId,
+      colorByArrayName
+    );
+    if (cellFlag) {
+      this.lodMapper.setScalarVisibility(false);
+    }
+    this.actor.setMapper(this.lodMapper);
+    this.lodActive = true;
+  }
+
+  endInteraction() {
+    if (this.lodActive) {
+      this.lodActive = false;
+      this.actor.setMapper(this.mapper);
+      this.dataChanged();
+    }
+  }
 }
 
 GeometryRepresentation.defaultProps = {
@@ -268,6 +426,15 @@ GeometryRepresentation.defaultProps = {
   showCubeAxes: false,
   showScalarBar: false,
   scalarBarTitle: '',
+  interactiveLOD: false,
+  interactivePointBudget: 100000,
+  selectionStyle: {
+    color: [1, 1, 0],
+    pointSize: 8,
+    lineWidth: 3,
+  },
+  hoverHighlight: false,
+  clippingPlanes: [],
 };
 
 GeometryRepresentation.propTypes = {
@@ -328,6 +495,51 @@ GeometryRepresentation.propTypes = {
    */
   scalarBarStyle: PropTypes.object,
 
+  /**
+   * Render a point sampling of the data while interacting with the view
+   * when the data has more points than interactivePointBudget.
+   * The sampling keeps the point data only: data colored by a cell array
+   * is shown with the actor color while interacting.
+   */
+  interactiveLOD: PropTypes.bool,
+
+  /**
+   * Maximum number of points rendered while interacting
+   */
+  interactivePointBudget: PropTypes.number,
+
+  /**
+   * Points and cells to highlight. Cell ids are following the verts, lines,
+   * polys, strips order of the input polydata.
+   */
+  selection: PropTypes.shape({
+    pointIds: PropTypes.arrayOf(PropTypes.number),
+    cellIds: PropTypes.arrayOf(PropTypes.number),
+  }),
+
+  /**
+   * Properties to set to the highlight actor.property
+   * (color, opacity, pointSize, lineWidth, representation: 1 for an outline)
+   */
+  selectionStyle: PropTypes.object,
+
+  /**
+   * Also highlight the point or cell under the mouse
+   * (see pickingFieldAssociation on the View)
+   */
+  hoverHighlight: PropTypes.bool,
+
+  /**
+   * Planes clipping the rendering [{ origin, normal }, ...] (up to 6).
+   * The side the normal is pointing to is kept.
+   */
+  clippingPlanes: PropTypes.arrayOf(
+    PropTypes.shape({
+      origin: PropTypes.arrayOf(PropTypes.number),
+      normal: PropTypes.arrayOf(PropTypes.number),
+    })
+  ),
+
   children: PropTypes.oneOfType([
     PropTypes.arrayOf(PropTypes.node),
     PropTypes.node,
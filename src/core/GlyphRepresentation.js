@@ -2,7 +2,12 @@ import React, { Component } from 'react';
 import PropTypes from 'prop-types';
 
 import { ViewContext, RepresentationContext, DownstreamContext } from './View';
-import { smartEqualsShallow } from '../utils';
+import {
+  smartEqualsShallow,
+  extractPoints,
+  updateClippingPlanes,
+  createSelectionHighlight,
+} from '../utils';
 
 import vtkActor from '@kitware/vtk.js/Rendering/Core/Actor.js';
 import vtkGlyph3DMapper from '@kitware/vtk.js/Rendering/Core/Glyph3DMapper.js';
@@ -17,7 +22,20 @@ import vtkColorTransferFunction from '@kitware/vtk.js/Rendering/Core/ColorTransf
  *    - property: Properties to assign to the vtkProperty (actor.getProperty())
  *    - colorMapPreset: Name of the preset to use for controlling the color mapping
  *    - colorDataRange: Range to use for the color scale
+ *    - selection: { pointIds } of the glyphs to highlight
  */
+
+// Glyph settings copied to the selection highlight
+const SELECTION_MAPPER_PROPERTIES = [
+  'orient',
+  'orientationMode',
+  'orientationArray',
+  'scaling',
+  'scaleFactor',
+  'scaleMode',
+  'scaleArray',
+];
+
 export default class GeometryRepresentation extends Component {
   constructor(props) {
     super(props);
@@ -27,13 +45,25 @@ export default class GeometryRepresentation extends Component {
     this.currentVisibility = true;
 
     // Create vtk.js actor/mapper
-    this.actor = vtkActor.newInstance({ visibility: false });
+    this.actor = vtkActor.newInstance({
+      visibility: false,
+      representationId: props.id,
+    });
     this.lookupTable = vtkColorTransferFunction.newInstance();
     this.mapper = vtkGlyph3DMapper.newInstance({
       lookupTable: this.lookupTable,
       useLookupTableScalarRange: true,
     });
     this.actor.setMapper(this.mapper);
+
+    // Highlight of the selected glyphs drawn on top of the actor
+    this.highlight = createSelectionHighlight(vtkGlyph3DMapper.newInstance(), {
+      extract: ({ pointIds }, [input, glyph]) => {
+        this.highlight.mapper.setInputData(extractPoints(input, pointIds), 0);
+        this.highlight.mapper.setInputData(glyph, 1);
+      },
+      hoverIds: ['pointId'],
+    });
   }
 
   render() {
@@ -42,6 +72,7 @@ export default class GeometryRepresentation extends Component {
         {(view) => {
           if (!this.view) {
             view.renderer.addActor(this.actor);
+            view.renderer.addActor(this.highlight.actor);
             this.view = view;
           }
           return (
@@ -69,6 +100,7 @@ export default class GeometryRepresentation extends Component {
   componentWillUnmount() {
     if (this.view && this.view.renderer) {
       this.view.renderer.removeActor(this.actor);
+      this.view.renderer.removeActor(this.highlight.actor);
     }
 
     this.actor.delete();
@@ -77,12 +109,25 @@ export default class GeometryRepresentation extends Component {
     this.mapper.delete();
     this.mapper = null;
 
+    this.highlight.delete();
+    this.highlight = null;
+
     this.lookupTable.delete();
     this.lookupTable = null;
   }
 
   update(props, previous) {
-    const { actor, mapper, property, colorMapPreset, colorDataRange } = props;
+    const {
+      actor,
+      mapper,
+      property,
+      colorMapPreset,
+      colorDataRange,
+      selection,
+      selectionStyle,
+      hoverHighlight,
+      clippingPlanes,
+    } = props;
     let changed = false;
 
     if (actor && (!previous || actor !== previous.actor)) {
@@ -94,6 +139,29 @@ export default class GeometryRepresentation extends Component {
     if (property && (!previous || property !== previous.property)) {
       changed = this.actor.getProperty().set(property) || changed;
     }
+    if (!previous || clippingPlanes !== previous.clippingPlanes) {
+      [this.mapper, this.highlight.mapper].forEach((m) => {
+        changed = updateClippingPlanes(m, clippingPlanes) || changed;
+      });
+    }
+    if (
+      selectionStyle &&
+      (!previous || selectionStyle !== previous.selectionStyle)
+    ) {
+      changed =
+        this.highlight.actor.getProperty().set(selectionStyle) || changed;
+    }
+    if (previous && selection !== previous.selection) {
+      changed = true;
+    }
+
+    changed =
+      this.highlight.setHoverHighlight(
+        this.view,
+        props.id,
+        hoverHighlight,
+        () => this.dataChanged()
+      ) || changed;
 
     if (
       colorMapPreset &&
@@ -140,16 +208,44 @@ export default class GeometryRepresentation extends Component {
     }
   }
 
+  dataUnavailable() {
+    if (this.validData) {
+      this.validData = false;
+      this.actor.setVisibility(false);
+
+      // trigger render
+      this.dataChanged();
+    }
+  }
+
   dataChanged() {
+    this.updateSelection();
     if (this.view) {
       this.view.renderView();
     }
   }
+
+  updateSelection() {
+    // Glyph settings are also used by the highlight
+    this.highlight.mapper.set(this.mapper.get(...SELECTION_MAPPER_PROPERTIES));
+    this.highlight.update(
+      this.actor,
+      this.validData && this.currentVisibility,
+      this.props.selection,
+      [this.mapper.getInputData(), this.mapper.getInputData(1)]
+    );
+  }
 }
 
 GeometryRepresentation.defaultProps = {
   colorMapPreset: 'erdc_rainbow_bright',
   colorDataRange: [0, 1],
+  selectionStyle: {
+    color: [1, 1, 0],
+    lineWidth: 3,
+  },
+  hoverHighlight: false,
+  clippingPlanes: [],
 };
 
 GeometryRepresentation.propTypes = {
@@ -183,6 +279,35 @@ GeometryRepresentation.propTypes = {
    */
   colorDataRange: PropTypes.arrayOf(PropTypes.number),
 
+  /**
+   * Glyphs to highlight using the ids of their points on port=0
+   */
+  selection: PropTypes.shape({
+    pointIds: PropTypes.arrayOf(PropTypes.number),
+  }),
+
+  /**
+   * Properties to set to the highlight actor.property
+   * (color, opacity, lineWidth, representation: 1 for an outline)
+   */
+  selectionStyle: PropTypes.object,
+
+  /**
+   * Also highlight the glyph under the mouse
+   */
+  hoverHighlight: PropTypes.bool,
+
+  /**
+   * Planes clipping the rendering [{ origin, normal }, ...] (up to 6).
+   * The side the normal is pointing to is kept.
+   */
+  clippingPlanes: PropTypes.arrayOf(
+    PropTypes.shape({
+      origin: PropTypes.arrayOf(PropTypes.number),
+      normal: PropTypes.arrayOf(PropTypes.number),
+    })
+  ),
+
   children: PropTypes.oneOfType([
     PropTypes.arrayOf(PropTypes.node),
     PropTypes.node,
@@ -0,0 +1,96 @@
+import PropTypes from 'prop-types';
+
+import Widget from './Widget';
+import { arrayEquals } from '../utils';
+
+import vtkImplicitPlaneWidget from '@kitware/vtk.js/Widgets/Widgets3D/ImplicitPlaneWidget.js';
+
+/**
+ * ImplicitPlaneWidget is an interactive plane which can be moved along its
+ * normal, rotated and translated inside the given bounds.
+ * It needs to be nested inside a WidgetManager and takes the following set
+ * of properties:
+ *   - origin: [0, 0, 0]
+ *   - normal: [0, 0, 1]
+ *   - bounds: [xmin, xmax, ymin, ymax, zmin, zmax]
+ *   - onChange: ({ origin, normal }) => {}
+ */
+export default class ImplicitPlaneWidget extends Widget {
+  get stateProperties() {
+    return ['origin', 'normal'];
+  }
+
+  createWidget(props) {
+    return vtkImplicitPlaneWidget.newInstance();
+  }
+
+  update(props, previous) {
+    const { bounds, placeFactor, representationStyle } = props;
+
+    // Placing the widget sets the bounds the plane can be moved in
+    if (
+      !previous ||
+      !arrayEquals(bounds, previous.bounds) ||
+      placeFactor !== previous.placeFactor
+    ) {
+      this.widget.setPlaceFactor(placeFactor);
+      this.widget.placeWidget(bounds);
+      previous = null;
+    }
+    if (
+      representationStyle &&
+      (!previous || representationStyle !== previous.representationStyle)
+    ) {
+      this.viewWidget.setRepresentationStyle(representationStyle);
+    }
+
+    super.update(props, previous);
+  }
+
+  getWidgetValue() {
+    const state = this.widget.getWidgetState();
+    return { origin: state.getOrigin(), normal: state.getNormal() };
+  }
+
+  setWidgetValue({ origin, normal }) {
+    const state = this.widget.getWidgetState();
+    state.setOrigin(origin);
+    state.setNormal(normal);
+  }
+}
+
+ImplicitPlaneWidget.defaultProps = {
+  ...Widget.defaultProps,
+  bounds: [-1, 1, -1, 1, -1, 1],
+  placeFactor: 1,
+};
+
+ImplicitPlaneWidget.propTypes = {
+  ...Widget.propTypes,
+
+  /**
+   * Point of the plane
+   */
+  origin: PropTypes.arrayOf(PropTypes.number),
+
+  /**
+   * Normal of the plane
+   */
+  normal: PropTypes.arrayOf(PropTypes.number),
+
+  /**
+   * Region where the plane can be moved [xmin, xmax, ymin, ymax, zmin, zmax]
+   */
+  bounds: PropTypes.arrayOf(PropTypes.number),
+
+  /**
+   * Scale factor applied to the bounds
+   */
+  placeFactor: PropTypes.number,
+
+  /**
+   * Colors and opacities of the plane, outline, normal and origin handle
+   * for the active and inactive states
+   */
+  representationStyle: PropTypes.object,
+};
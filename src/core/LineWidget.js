@@ -0,0 +1,60 @@
+import PropTypes from 'prop-types';
+
+import Widget from './Widget';
+
+import vtkLineWidget from '@kitware/vtk.js/Widgets/Widgets3D/LineWidget.js';
+
+/**
+ * LineWidget is a segment with two handles which can be dragged.
+ * Without points, the segment is placed by clicking twice in the View.
+ * It needs to be nested inside a WidgetManager and takes the following set
+ * of properties:
+ *   - points: [[x, y, z], [x, y, z]]
+ *   - onChange: ({ points }) => {}
+ */
+export default class LineWidget extends Widget {
+  get stateProperties() {
+    return ['points'];
+  }
+
+  createWidget(props) {
+    return vtkLineWidget.newInstance();
+  }
+
+  getWidgetValue() {
+    if (!this.viewWidget || !this.viewWidget.isPlaced()) {
+      return null;
+    }
+    const state = this.widget.getWidgetState();
+    return {
+      points: [state.getHandle1().getOrigin(), state.getHandle2().getOrigin()],
+    };
+  }
+
+  setWidgetValue({ points }) {
+    if (!points || points.length !== 2) {
+      // Let the user place the handles
+      this.manager.grabFocus(this.viewWidget);
+      return;
+    }
+
+    const state = this.widget.getWidgetState();
+    state.getHandle1().setOrigin(points[0]);
+    state.getHandle2().setOrigin(points[1]);
+    this.viewWidget.updateHandleVisibility(0);
+    this.viewWidget.updateHandleVisibility(1);
+    this.viewWidget.setMoveHandleVisibility(false);
+    this.viewWidget.updateHandleOrientations();
+  }
+}
+
+LineWidget.defaultProps = Widget.defaultProps;
+
+LineWidget.propTypes = {
+  ...Widget.propTypes,
+
+  /**
+   * World coordinates of the two ends of the segment
+   */
+  points: PropTypes.arrayOf(PropTypes.arrayOf(PropTypes.number)),
+};
@@ -0,0 +1,356 @@
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+
+import { ViewContext } from './View';
+import Annotation from './Annotation';
+
+import vtkActor from '@kitware/vtk.js/Rendering/Core/Actor.js';
+import vtkMapper from '@kitware/vtk.js/Rendering/Core/Mapper.js';
+import vtkPolyData from '@kitware/vtk.js/Common/DataModel/PolyData.js';
+
+// Maximum mouse motion (in pixels) between press and release for a click
+const CLICK_TOLERANCE = 3;
+
+const LABEL_STYLE = {
+  transform: 'translate(-50%, -150%)',
+  padding: '2px 6px',
+  borderRadius: '3px',
+  background: 'rgba(0, 0, 0, 0.6)',
+  color: 'white',
+  font: '12px sans-serif',
+  whiteSpace: 'nowrap',
+  pointerEvents: 'none',
+};
+
+/**
+ * Measure is the base class of the measurement components. It places points
+ * by clicking on the representations of the View, draws them in the scene
+ * and shows the measured value in a label.
+ * Subclasses are defining:
+ *   - minNumberOfPoints: number of points needed to get a value
+ *   - maxNumberOfPoints: number of points completing the measure
+ *   - closed: connect the last point to the first one
+ *   - computeValue(points): measured value
+ *   - getLabelPosition(points): world position of the label
+ *   - isComplete(points): whether points given as props are a full measure
+ */
+export default class Measure extends Component {
+  constructor(props) {
+    super(props);
+
+    this.state = {
+      points: props.points,
+      complete: this.isComplete(props.points),
+    };
+
+    this.subscriptions = [];
+    this.pressPosition = null;
+
+    // Create vtk.js actor/mapper drawn on top of the representations
+    this.polydata = vtkPolyData.newInstance();
+    this.mapper = vtkMapper.newInstance({
+      scalarVisibility: false,
+      resolveCoincidentTopology: true,
+    });
+    this.mapper.setRelativeCoincidentTopologyLineOffsetParameters(-2, -2);
+    this.mapper.setRelativeCoincidentTopologyPointOffsetParameters(0, -2);
+    this.mapper.setInputData(this.polydata);
+    this.actor = vtkActor.newInstance({ pickable: false });
+    this.actor.setMapper(this.mapper);
+  }
+
+  get minNumberOfPoints() {
+    return 2;
+  }
+
+  get maxNumberOfPoints() {
+    return 2;
+  }
+
+  get closed() {
+    return false;
+  }
+
+  render() {
+    const { points } = this.state;
+    const { showLabel, labelStyle } = this.props;
+    const value = this.getValue(points);
+    return (
+      <ViewContext.Consumer>
+        {(view) => {
+          if (!this.view) {
+            view.renderer.addActor(this.actor);
+            this.view = view;
+          }
+          if (!showLabel || value === null) {
+            return null;
+          }
+          return (
+            <Annotation
+              id={this.props.id}
+              position={this.getLabelPosition(points)}
+              style={{ ...LABEL_STYLE, ...labelStyle }}
+            >
+              {this.formatValue(value)}
+            </Annotation>
+          );
+        }}
+      </ViewContext.Consumer>
+    );
+  }
+
+  componentDidMount() {
+    const { interactor } = this.view;
+    if (interactor) {
+      this.subscriptions.push(
+        interactor.onLeftButtonPress(({ position }) => {
+          this.pressPosition = position;
+        })
+      );
+      this.subscriptions.push(
+        interactor.onLeftButtonRelease(({ position }) =>
+          this.onRelease(position)
+        )
+      );
+    }
+
+    this.update(this.props);
+    this.updateScene();
+  }
+
+  componentDidUpdate(prevProps, prevState, snapshot) {
+    this.update(this.props, prevProps);
+    if (this.state.points !== prevState.points) {
+      this.updateScene();
+    }
+  }
+
+  componentWillUnmount() {
+    while (this.subscriptions.length) {
+      this.subscriptions.pop().unsubscribe();
+    }
+
+    if (this.view && this.view.renderer) {
+      this.view.renderer.removeActor(this.actor);
+      this.view.renderView();
+    }
+
+    this.actor.delete();
+    this.actor = null;
+
+    this.mapper.delete();
+    this.mapper = null;
+
+    this.polydata.delete();
+    this.polydata = null;
+  }
+
+  update(props, previous) {
+    const { points, property, visible } = props;
+    let changed = false;
+
+    // Ignore the points we just shared through onChange/setProps
+    if (
+      previous &&
+      points !== previous.points &&
+      JSON.stringify(points) !== JSON.stringify(this.state.points)
+    ) {
+      this.setState({ points, complete: this.isComplete(points) });
+    }
+    if (property && (!previous || property !== previous.property)) {
+      changed = this.actor.getProperty().set(property) || changed;
+    }
+    changed = this.actor.setVisibility(visible) || changed;
+
+    if (changed) {
+      this.view.renderView();
+    }
+  }
+
+  updateScene() {
+    const { points } = this.state;
+    const nbPoints = points.length;
+    const coords = new Float64Array(nbPoints * 3);
+    const verts = new Uint32Array(nbPoints * 2);
+    points.forEach((point, i) => {
+      coords.set(point, i * 3);
+      verts[i * 2] = 1;
+      verts[i * 2 + 1] = i;
+    });
+
+    const lines = [];
+    if (nbPoints > 1) {
+      const closed = this.closed && nbPoints > 2;
+      lines.push(closed ? nbPoints + 1 : nbPoints);
+      points.forEach((point, i) => lines.push(i));
+      if (closed) {
+        lines.push(0);
+      }
+    }
+
+    this.polydata.getPoints().setData(coords, 3);
+    this.polydata.getVerts().setData(verts);
+    this.polydata.getLines().setData(Uint32Array.from(lines));
+    this.polydata.modified();
+    this.view.renderView();
+  }
+
+  isComplete(points) {
+    return points.length >= this.maxNumberOfPoints;
+  }
+
+  getValue(points) {
+    if (points.length < this.minNumberOfPoints) {
+      return null;
+    }
+    return this.computeValue(points);
+  }
+
+  computeValue(points) {
+    return 0;
+  }
+
+  getLabelPosition(points) {
+    return points[points.length - 1];
+  }
+
+  formatValue(value) {
+    const { labelFormat, units } = this.props;
+    if (labelFormat) {
+      return labelFormat(value);
+    }
+    return units ? `${value.toFixed(2)} ${units}` : value.toFixed(2);
+  }
+
+  onRelease(position) {
+    const pressPosition = this.pressPosition;
+    this.pressPosition = null;
+    if (
+      !this.props.editable ||
+      !this.props.visible ||
+      !pressPosition ||
+      Math.abs(position.x - pressPosition.x) > CLICK_TOLERANCE ||
+      Math.abs(position.y - pressPosition.y) > CLICK_TOLERANCE
+    ) {
+      return;
+    }
+
+    const { x, y } = position;
+    const { complete } = this.state;
+    const points = complete ? [] : this.state.points;
+
+    // Clicking the first point again closes the polygon
+    if (this.closed && points.length >= this.minNumberOfPoints) {
+      const { openglRenderWindow, renderer } = this.view;
+      const [fx, fy] = openglRenderWindow.worldToDisplay(
+        ...points[0],
+        renderer
+      );
+      const tolerance = Math.max(
+        CLICK_TOLERANCE,
+        this.view.getPointerSizeTolerance()
+      );
+      if (Math.abs(fx - x) <= tolerance && Math.abs(fy - y) <= tolerance) {
+        this.setPoints(points, true);
+        return;
+      }
+    }
+
+    const tolerance = this.view.getPointerSizeTolerance();
+    const selection = this.view.pick(
+      Math.floor(x - tolerance),
+      Math.floor(y - tolerance),
+      Math.ceil(x + tolerance),
+      Math.ceil(y + tolerance),
+      false
+    );
+    if (!selection.length) {
+      return;
+    }
+
+    const newPoints = [...points, selection[0].worldPosition];
+    this.setPoints(newPoints, newPoints.length >= this.maxNumberOfPoints);
+  }
+
+  setPoints(points, complete) {
+    this.setState({ points, complete });
+
+    // Share the measure with the rest of the world
+    const value = this.getValue(points);
+    if (this.props.onChange) {
+      this.props.onChange(points, value);
+    }
+
+    if ('setProps' in this.props) {
+      this.props.setProps({ points, value });
+    }
+  }
+}
+
+Measure.defaultProps = {
+  points: [],
+  editable: true,
+  visible: true,
+  showLabel: true,
+  units: '',
+  property: {
+    color: [1, 1, 0],
+    lineWidth: 2,
+    pointSize: 8,
+  },
+};
+
+Measure.propTypes = {
+  /**
+   * The ID used to identify this component.
+   */
+  id: PropTypes.string,
+
+  /**
+   * Points of the measure in world coordinates [[x, y, z], ...]
+   * which can be used to restore a saved measure
+   */
+  points: PropTypes.arrayOf(PropTypes.arrayOf(PropTypes.number)),
+
+  /**
+   * Add points by clicking on the representations of the View.
+   * Clicking once the measure is complete starts a new one.
+   */
+  editable: PropTypes.bool,
+
+  /**
+   * Show/Hide the measure
+   */
+  visible: PropTypes.bool,
+
+  /**
+   * Show/Hide the label with the measured value
+   */
+  showLabel: PropTypes.bool,
+
+  /**
+   * Units appended to the measured value in the label
+   */
+  units: PropTypes.string,
+
+  /**
+   * Function converting the measured value into the label content
+   */
+  labelFormat: PropTypes.func,
+
+  /**
+   * Style of the label overlay
+   */
+  labelStyle: PropTypes.object,
+
+  /**
+   * Properties to set to the actor.property drawing points and lines
+   */
+  property: PropTypes.object,
+
+  /**
+   * User callback function called with (points, value) when points are
+   * added with the mouse. value is null until enough points are placed.
+   */
+  onChange: PropTypes.func,
+};
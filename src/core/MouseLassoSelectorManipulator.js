@@ -0,0 +1,128 @@
+import macro from '@kitware/vtk.js/macros.js';
+import vtkCompositeMouseManipulator from '@kitware/vtk.js/Interaction/Manipulators/CompositeMouseManipulator.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+const OVERLAY_STYLE = {
+  position: 'absolute',
+  left: '0px',
+  top: '0px',
+  width: '100%',
+  height: '100%',
+  zIndex: 1,
+  pointerEvents: 'none',
+};
+
+const DEFAULT_STYLE = {
+  stroke: '#F44336',
+  strokeWidth: '2px',
+  fill: 'rgba(0, 0, 0, 0.1)',
+};
+
+function applyStyle(element, style) {
+  Object.keys(style).forEach((name) => {
+    element.style[name] = style[name];
+  });
+}
+
+// ----------------------------------------------------------------------------
+// vtkMouseLassoSelectorManipulator methods
+// ----------------------------------------------------------------------------
+
+function vtkMouseLassoSelectorManipulator(publicAPI, model) {
+  // Set our className
+  model.classHierarchy.push('vtkMouseLassoSelectorManipulator');
+
+  // Private variables
+  let view = null;
+  let container = null;
+  let svg = null;
+  let polygon = null;
+  let positions = [];
+
+  function updateOverlay() {
+    const [viewWidth, viewHeight] = view.getSize();
+    const { width, height } = container.getBoundingClientRect();
+    polygon.setAttribute(
+      'points',
+      positions
+        .map(
+          ([x, y]) =>
+            `${(width * x) / viewWidth},${height - (height * y) / viewHeight}`
+        )
+        .join(' ')
+    );
+  }
+
+  publicAPI.onButtonDown = (interactor, renderer, position) => {
+    positions = [[position.x, position.y]];
+
+    if (model.renderSelection) {
+      view = interactor.getView();
+      container = view.getContainer();
+      if (!svg) {
+        svg = document.createElementNS(SVG_NS, 'svg');
+        applyStyle(svg, OVERLAY_STYLE);
+        polygon = document.createElementNS(SVG_NS, 'polygon');
+        svg.appendChild(polygon);
+      }
+      applyStyle(polygon, model.selectionStyle);
+      updateOverlay();
+      container.appendChild(svg);
+    }
+  };
+
+  publicAPI.onMouseMove = (interactor, renderer, position) => {
+    if (!positions.length || !position) {
+      return;
+    }
+
+    positions.push([position.x, position.y]);
+    if (svg && svg.parentNode) {
+      updateOverlay();
+    }
+  };
+
+  publicAPI.onButtonUp = () => {
+    if (positions.length > 2) {
+      publicAPI.invokeLassoSelectChange({ polygon: positions });
+    }
+
+    if (svg && svg.parentNode) {
+      svg.parentNode.removeChild(svg);
+    }
+
+    // clear positions
+    view = null;
+    container = null;
+    positions = [];
+  };
+}
+
+// ----------------------------------------------------------------------------
+// Object factory
+// ----------------------------------------------------------------------------
+
+function extend(publicAPI, model, initialValues = {}) {
+  Object.assign(model, { renderSelection: true }, initialValues, {
+    selectionStyle: { ...DEFAULT_STYLE, ...initialValues.selectionStyle },
+  });
+
+  // Inheritance
+  macro.obj(publicAPI, model);
+  vtkCompositeMouseManipulator.extend(publicAPI, model, initialValues);
+  macro.event(publicAPI, model, 'LassoSelectChange'); // Trigger at release
+  macro.setGet(publicAPI, model, ['renderSelection', 'selectionStyle']);
+
+  // Object specific methods
+  vtkMouseLassoSelectorManipulator(publicAPI, model);
+}
+
+// ----------------------------------------------------------------------------
+
+export const newInstance = macro.newInstance(
+  extend,
+  'vtkMouseLassoSelectorManipulator'
+);
+
+export default { newInstance, extend };
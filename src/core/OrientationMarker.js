@@ -0,0 +1,323 @@
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+
+import { ViewContext } from './View';
+
+import { EVENT_ABORT } from '@kitware/vtk.js/macros.js';
+import vtkAnnotatedCubeActor from '@kitware/vtk.js/Rendering/Core/AnnotatedCubeActor.js';
+import AnnotatedCubePresets from '@kitware/vtk.js/Rendering/Core/AnnotatedCubeActor/Presets.js';
+import vtkAxesActor from '@kitware/vtk.js/Rendering/Core/AxesActor.js';
+import vtkCellPicker from '@kitware/vtk.js/Rendering/Core/CellPicker.js';
+import vtkRenderer from '@kitware/vtk.js/Rendering/Core/Renderer.js';
+
+// ----------------------------------------------------------------------------
+// Helper constants
+// ----------------------------------------------------------------------------
+
+const FACES = ['xPlus', 'xMinus', 'yPlus', 'yMinus', 'zPlus', 'zMinus'];
+
+// Camera view up to use when looking at a given axis
+const VIEW_UP = [
+  [0, 0, 1],
+  [0, 0, 1],
+  [0, 1, 0],
+];
+
+// Bounds of the marker size in pixels
+const MIN_PIXEL_SIZE = 50;
+const MAX_PIXEL_SIZE = 200;
+
+/**
+ * OrientationMarker is showing the orientation of the View camera
+ * inside a corner of the View. Nested in a Viewport, it follows the
+ * Viewport camera and stays inside the Viewport.
+ * It takes the following set of properties:
+ *   - actorType: 'cube' or 'axes'
+ *   - corner: 'TOP_LEFT', 'TOP_RIGHT', 'BOTTOM_LEFT', 'BOTTOM_RIGHT'
+ *   - size: 0.2
+ *   - faceLabels: { xPlus: 'L', xMinus: 'R', yPlus: 'P', ... }
+ *   - snapCameraOnClick: false
+ */
+export default class OrientationMarker extends Component {
+  constructor(props) {
+    super(props);
+    this.subscriptions = [];
+
+    // Create vtk.js objects
+    this.renderer = vtkRenderer.newInstance({ interactive: false });
+    this.picker = vtkCellPicker.newInstance();
+    this.picker.setPickFromList(true);
+  }
+
+  render() {
+    return (
+      <ViewContext.Consumer>
+        {(view) => {
+          this.view = view;
+          return null;
+        }}
+      </ViewContext.Consumer>
+    );
+  }
+
+  componentDidMount() {
+    const {
+      renderWindow,
+      openglRenderWindow,
+      renderer,
+      camera,
+      interactor,
+    } = this.view;
+
+    // Draw on top of the renderer of the View (or Viewport)
+    if (renderWindow.getNumberOfLayers() < 2) {
+      renderWindow.setNumberOfLayers(2);
+    }
+    this.renderer.setLayer(renderWindow.getNumberOfLayers() - 1);
+    renderWindow.addRenderer(this.renderer);
+
+    this.update(this.props);
+    this.updateOrientation();
+
+    // Follow the camera and the area covered by the parent renderer
+    this.subscriptions.push(camera.onModified(() => this.updateOrientation()));
+    this.subscriptions.push(renderer.onModified(() => this.updateViewport()));
+    this.subscriptions.push(
+      openglRenderWindow.onModified(() => this.updateViewport())
+    );
+
+    // Catch click before the interactor style
+    if (interactor) {
+      this.subscriptions.push(
+        interactor.onLeftButtonPress((callData) => this.onClick(callData), 1)
+      );
+    }
+  }
+
+  componentDidUpdate(prevProps, prevState, snapshot) {
+    this.update(this.props, prevProps);
+  }
+
+  componentWillUnmount() {
+    while (this.subscriptions.length) {
+      this.subscriptions.pop().unsubscribe();
+    }
+
+    if (this.view && this.view.renderWindow) {
+      this.view.renderWindow.removeRenderer(this.renderer);
+      this.view.renderView();
+    }
+
+    this.renderer.delete();
+    this.renderer = null;
+
+    this.picker.delete();
+    this.picker = null;
+
+    if (this.actor) {
+      this.actor.delete();
+      this.actor = null;
+    }
+  }
+
+  update(props, previous) {
+    const { actorType, corner, size, visible, faceLabels, cubeStyle } = props;
+    let changed = false;
+
+    if (
+      !previous ||
+      actorType !== previous.actorType ||
+      faceLabels !== previous.faceLabels ||
+      cubeStyle !== previous.cubeStyle
+    ) {
+      const previousActor = this.actor;
+      this.actor = this.createActor(props);
+      this.renderer.addViewProp(this.actor);
+      this.picker.setPickList([this.actor]);
+      if (previousActor) {
+        this.renderer.removeViewProp(previousActor);
+        previousActor.delete();
+      }
+      changed = true;
+    }
+
+    if (!previous || corner !== previous.corner || size !== previous.size) {
+      this.updateViewport();
+      changed = true;
+    }
+
+    changed = this.actor.setVisibility(visible) || changed;
+
+    if (changed) {
+      this.view.renderView();
+    }
+  }
+
+  // Corner of the parent renderer viewport covered by the marker
+  updateViewport() {
+    const { corner, size } = this.props;
+    const [xmin, ymin, xmax, ymax] = this.view.renderer.getViewport();
+    const [width, height] = this.view.openglRenderWindow.getSize();
+    if (!width || !height) {
+      return;
+    }
+
+    const minSize = Math.min((xmax - xmin) * width, (ymax - ymin) * height);
+    const pixelSize = Math.max(
+      Math.min(MIN_PIXEL_SIZE, minSize),
+      Math.min(MAX_PIXEL_SIZE, size * minSize)
+    );
+    const left = corner.endsWith('LEFT') ? xmin : xmax - pixelSize / width;
+    const bottom = corner.startsWith('BOTTOM')
+      ? ymin
+      : ymax - pixelSize / height;
+    this.renderer.setViewport(
+      left,
+      bottom,
+      left + pixelSize / width,
+      bottom + pixelSize / height
+    );
+  }
+
+  // Look at the marker the way the camera is looking at the scene
+  updateOrientation() {
+    const { camera } = this.view;
+    this.renderer.getActiveCamera().set({
+      position: camera.getPosition(),
+      focalPoint: camera.getFocalPoint(),
+      viewUp: camera.getViewUp(),
+    });
+    this.renderer.resetCamera();
+  }
+
+  createActor(props) {
+    const { actorType, faceLabels, cubeStyle } = props;
+    if (actorType === 'axes') {
+      return vtkAxesActor.newInstance();
+    }
+
+    const actor = vtkAnnotatedCubeActor.newInstance();
+    AnnotatedCubePresets.applyPreset('default', actor);
+    AnnotatedCubePresets.applyPreset('lps', actor);
+    if (cubeStyle) {
+      actor.setDefaultStyle(cubeStyle);
+    }
+    FACES.forEach((face) => {
+      if (faceLabels[face] !== undefined) {
+        actor.set({ [`${face}FaceProperty`]: { text: faceLabels[face] } });
+      }
+    });
+    return actor;
+  }
+
+  onClick({ position }) {
+    if (!this.props.snapCameraOnClick || !this.props.visible) {
+      return undefined;
+    }
+
+    const { renderer } = this;
+    const { x, y } = position;
+    if (!this.view.openglRenderWindow.isInViewport(x, y, renderer)) {
+      return undefined;
+    }
+
+    this.picker.pick([x, y, 0], renderer);
+    if (this.picker.getActors().length === 0) {
+      return EVENT_ABORT;
+    }
+
+    // Look at the picked face from outside
+    const pickPosition = this.picker.getPickPosition();
+    const abs = pickPosition.map(Math.abs);
+    const axis = abs.indexOf(Math.max(...abs));
+    const direction = [0, 0, 0];
+    direction[axis] = Math.sign(pickPosition[axis]);
+    this.snapCamera(direction, VIEW_UP[axis]);
+
+    return EVENT_ABORT;
+  }
+
+  snapCamera(direction, viewUp) {
+    const { camera, renderer } = this.view;
+    const distance = camera.getDistance();
+    const focalPoint = camera.getFocalPoint();
+    camera.set({
+      position: focalPoint.map((v, i) => v + direction[i] * distance),
+      viewUp,
+    });
+    renderer.resetCameraClippingRange();
+    this.view.renderView();
+
+    if (this.view.cameraChanged) {
+      this.view.cameraChanged();
+    }
+  }
+}
+
+OrientationMarker.defaultProps = {
+  actorType: 'cube',
+  corner: 'BOTTOM_LEFT',
+  size: 0.2,
+  visible: true,
+  faceLabels: {
+    xPlus: 'L',
+    xMinus: 'R',
+    yPlus: 'P',
+    yMinus: 'A',
+    zPlus: 'S',
+    zMinus: 'I',
+  },
+  snapCameraOnClick: false,
+};
+
+OrientationMarker.propTypes = {
+  /**
+   * Actor to use as marker: 'cube' (annotated cube) or 'axes'
+   */
+  actorType: PropTypes.oneOf(['cube', 'axes']),
+
+  /**
+   * Corner of the View (or Viewport) where the marker is displayed
+   */
+  corner: PropTypes.oneOf([
+    'TOP_LEFT',
+    'TOP_RIGHT',
+    'BOTTOM_LEFT',
+    'BOTTOM_RIGHT',
+  ]),
+
+  /**
+   * Size of the marker relative to the View (or Viewport) size
+   * (between 0 and 1)
+   */
+  size: PropTypes.number,
+
+  /**
+   * Show/Hide the marker
+   */
+  visible: PropTypes.bool,
+
+  /**
+   * Text of each cube face. By default it is using the patient orientation
+   * (LPS) used for medical data.
+   */
+  faceLabels: PropTypes.shape({
+    xPlus: PropTypes.string,
+    xMinus: PropTypes.string,
+    yPlus: PropTypes.string,
+    yMinus: PropTypes.string,
+    zPlus: PropTypes.string,
+    zMinus: PropTypes.string,
+  }),
+
+  /**
+   * Configure the cube faces style by overriding the set of properties defined
+   * https://github.com/Kitware/vtk-js/blob/master/Sources/Rendering/Core/AnnotatedCubeActor/Presets.js
+   */
+  cubeStyle: PropTypes.object,
+
+  /**
+   * Clicking a face of the marker will align the camera with that axis
+   */
+  snapCameraOnClick: PropTypes.bool,
+};
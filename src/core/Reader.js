@@ -2,15 +2,30 @@ import React, { Component } from 'react';
 import PropTypes from 'prop-types';
 
 import { ViewContext, RepresentationContext, DownstreamContext } from './View';
+import { readBlob } from '../utils';
+import { getReaderClass } from '../io/readers';
 
 import vtk from '@kitware/vtk.js/vtk.js';
 import Base64 from '@kitware/vtk.js/Common/Core/Base64.js';
 
+// Props providing the content to read
+const INPUT_PROPS = [
+  'url',
+  'file',
+  'blob',
+  'arrayBuffer',
+  'parseAsText',
+  'parseAsArrayBuffer',
+];
+
 /**
  * Reader is exposing a reader to a downstream filter
  * It takes the following set of properties:
- *   - vtkClass: vtk.js reader class name
+ *   - vtkClass: vtk.js reader class name (default from the file extension)
  *   - url: string
+ *   - file: File
+ *   - blob: Blob
+ *   - arrayBuffer: ArrayBuffer
  *   - parseAsText: string
  *   - parseAsArrayBuffer: base64String
  */
@@ -18,8 +33,17 @@ export default class Reader extends Component {
   constructor(props) {
     super(props);
 
-    // Create vtk.js algorithm
+    // Only the last url/File/Blob loaded is given to the reader
+    this.loadRequest = 0;
+    this.onProgress = (event) => this.loadProgress(event);
+
+    // Create vtk.js algorithm (waits for a file or url when the class
+    // is unknown)
     this.reader = null;
+    this.vtkClass = null;
+    if (this.getVtkClass(props)) {
+      this.reader = this.createReader(props);
+    }
   }
 
   render() {
@@ -32,20 +56,23 @@ export default class Reader extends Component {
               return (
                 <DownstreamContext.Consumer>
                   {(downstream) => {
-                    if (!this.reader) {
-                      this.reader = this.createReader(this.props);
-                    }
                     if (!this.downstream) {
-                      downstream.setInputConnection(
-                        this.reader.getOutputPort(),
-                        this.props.port
-                      );
                       this.downstream = downstream;
+                      if (this.reader) {
+                        downstream.setInputConnection(
+                          this.reader.getOutputPort(),
+                          this.props.port
+                        );
+                      }
                     }
                     this.view = view;
+                    if (!this.reader) {
+                      return null;
+                    }
+                    // Children are mounted again when the reader is replaced
                     return (
                       <DownstreamContext.Provider value={this.reader}>
-                        <div key={this.props.id} id={this.props.id}>
+                        <div key={this.vtkClass} id={this.props.id}>
                           {this.props.children}
                         </div>
                       </DownstreamContext.Provider>
@@ -69,65 +96,211 @@ export default class Reader extends Component {
   }
 
   componentWillUnmount() {
-    this.reader.delete();
-    this.reader = null;
+    if (this.reader) {
+      this.reader.delete();
+      this.reader = null;
+    }
+  }
+
+  getVtkClass(props) {
+    const { vtkClass, file, url } = props;
+    if (vtkClass) {
+      return vtkClass;
+    }
+    if (file && file.name) {
+      return getReaderClass(file.name);
+    }
+    if (url) {
+      return getReaderClass(url);
+    }
+    return '';
   }
 
   createReader(props) {
-    const { vtkClass, options } = props;
+    this.vtkClass = this.getVtkClass(props);
     return vtk({
-      vtkClass,
-      progressCallback: options.progressCallback,
+      vtkClass: this.vtkClass,
+      progressCallback: this.onProgress,
     });
   }
 
   update(props, previous) {
-    const { vtkClass, url, parseAsText, parseAsArrayBuffer, options } = props;
+    const {
+      url,
+      file,
+      blob,
+      arrayBuffer,
+      parseAsText,
+      parseAsArrayBuffer,
+      options,
+    } = props;
 
-    if (vtkClass && (!previous || vtkClass !== previous.vtkClass)) {
+    const vtkClass = this.getVtkClass(props);
+    if (!vtkClass) {
+      // Content without a vtkClass nor a known file extension
+      const input = INPUT_PROPS.find(
+        (name) => props[name] && (!previous || props[name] !== previous[name])
+      );
+      if (input) {
+        const name = { url, file: file && file.name }[input] || `the ${input}`;
+        this.loadRequest++;
+        this.loadFailed(
+          new Error(`No reader available for ${name}, set vtkClass`)
+        );
+      }
+      return;
+    }
+    if (vtkClass !== this.vtkClass) {
+      if (this.reader) {
+        this.reader.delete();
+      }
       this.reader = this.createReader(props);
       this.downstream.setInputConnection(
         this.reader.getOutputPort(),
         this.props.port
       );
+      // Provide the new reader to the children
+      this.forceUpdate();
     }
 
     if (url && (!previous || url !== previous.url)) {
-      this.reader.setUrl(url, options).then(() => {
-        if (!this.reader) {
-          return;
-        }
-        if (this.representation) {
-          this.representation.dataAvailable();
-        }
-        if (this.view) {
-          if (this.props.resetCameraOnUpdate) {
-            this.view.resetCamera();
-          }
-          if (this.props.renderOnUpdate) {
-            this.view.renderView();
-          }
-        }
-      });
+      this.load((reader) =>
+        reader
+          .setUrl(url, { ...options, progressCallback: this.onProgress })
+          .catch((error) => {
+            if (error && error.xhr) {
+              const { status } = error.xhr;
+              throw new Error(`Could not fetch ${url} (HTTP ${status})`);
+            }
+            throw error;
+          })
+      );
+    }
+
+    if (file && (!previous || file !== previous.file)) {
+      this.load((reader) =>
+        readBlob(file, !reader.parseAsArrayBuffer).then((content) =>
+          this.parse(reader, content)
+        )
+      );
+    }
+
+    if (blob && (!previous || blob !== previous.blob)) {
+      this.load((reader) =>
+        readBlob(blob, !reader.parseAsArrayBuffer).then((content) =>
+          this.parse(reader, content)
+        )
+      );
+    }
+
+    if (arrayBuffer && (!previous || arrayBuffer !== previous.arrayBuffer)) {
+      this.parseNow(() => this.parse(this.reader, arrayBuffer));
     }
 
     if (parseAsText && (!previous || parseAsText !== previous.parseAsText)) {
-      this.reader.parseAsText(parseAsText);
-      if (this.representation) {
-        this.representation.dataAvailable();
-      }
+      this.parseNow(() => this.parse(this.reader, parseAsText));
     }
 
     if (
       parseAsArrayBuffer &&
       (!previous || parseAsArrayBuffer !== previous.parseAsArrayBuffer)
     ) {
-      this.reader.parseAsArrayBuffer(Base64.toArrayBuffer(parseAsArrayBuffer));
-      if (this.representation) {
-        this.representation.dataAvailable();
+      this.parseNow(() =>
+        this.parse(this.reader, Base64.toArrayBuffer(parseAsArrayBuffer))
+      );
+    }
+  }
+
+  // Give text or binary content to the reader
+  parse(reader, content) {
+    let result;
+    if (typeof content === 'string') {
+      result = reader.parseAsText(content);
+    } else if (reader.parseAsArrayBuffer) {
+      result = reader.parseAsArrayBuffer(content);
+    } else {
+      result = reader.parseAsText(new TextDecoder().decode(content));
+    }
+    // XML readers return false on invalid content
+    if (result === false) {
+      throw new Error(`${this.vtkClass} could not parse the data`);
+    }
+  }
+
+  // Synchronous parsing of the content given as props
+  parseNow(parseContent) {
+    this.loadRequest++;
+    try {
+      parseContent();
+    } catch (error) {
+      this.loadFailed(error);
+      return;
+    }
+    this.loadSucceeded();
+  }
+
+  // Asynchronous loading from a url or a File/Blob
+  load(loadContent) {
+    const request = ++this.loadRequest;
+    const reader = this.reader;
+    const isCurrent = () =>
+      request === this.loadRequest && reader === this.reader;
+
+    this.loadStarted();
+    loadContent(reader).then(
+      (result) => {
+        if (!isCurrent()) {
+          return;
+        }
+        if (result === false) {
+          this.loadFailed(
+            new Error(`${this.vtkClass} could not parse the data`)
+          );
+        } else {
+          this.loadSucceeded();
+        }
+      },
+      (error) => {
+        if (isCurrent()) {
+          this.loadFailed(error);
+        }
       }
+    );
+  }
+
+  loadStarted() {
+    if (this.props.onLoadStart) {
+      this.props.onLoadStart();
     }
 
+    if ('setProps' in this.props) {
+      this.props.setProps({ status: 'loading', progress: 0, error: null });
+    }
+  }
+
+  loadProgress(event) {
+    const { options } = this.props;
+    if (options.progressCallback) {
+      options.progressCallback(event);
+    }
+
+    if (!event || !event.lengthComputable) {
+      return;
+    }
+    const progress = event.loaded / event.total;
+    if (this.props.onProgress) {
+      this.props.onProgress(progress);
+    }
+
+    if ('setProps' in this.props) {
+      this.props.setProps({ progress });
+    }
+  }
+
+  loadSucceeded() {
+    if (this.representation) {
+      this.representation.dataAvailable();
+    }
     if (this.view) {
       if (this.props.resetCameraOnUpdate) {
         this.view.resetCamera();
@@ -136,6 +309,29 @@ export default class Reader extends Component {
         this.view.renderView();
       }
     }
+
+    if (this.props.onLoad) {
+      this.props.onLoad();
+    }
+
+    if ('setProps' in this.props) {
+      this.props.setProps({ status: 'loaded', progress: 1, error: null });
+    }
+  }
+
+  loadFailed(error) {
+    // Hide the representation rather than showing stale data
+    if (this.representation) {
+      this.representation.dataUnavailable();
+    }
+
+    if (this.props.onError) {
+      this.props.onError(error);
+    }
+
+    if ('setProps' in this.props) {
+      this.props.setProps({ status: 'error', error: error.message });
+    }
   }
 }
 
@@ -159,7 +355,8 @@ Reader.propTypes = {
   port: PropTypes.number,
 
   /**
-   * vtkClass name
+   * vtkClass name. When not provided, it is deduced from the extension
+   * of the file name or url (see READERS_BY_EXTENSION).
    */
   vtkClass: PropTypes.string,
 
@@ -168,6 +365,21 @@ Reader.propTypes = {
    */
   url: PropTypes.string,
 
+  /**
+   * File to read (e.g. from an <input type="file"> or a drop event)
+   */
+  file: PropTypes.object,
+
+  /**
+   * Blob to read
+   */
+  blob: PropTypes.object,
+
+  /**
+   * set binary data to process
+   */
+  arrayBuffer: PropTypes.instanceOf(ArrayBuffer),
+
   /**
    * set text data to process
    */
@@ -178,6 +390,43 @@ Reader.propTypes = {
    */
   parseAsArrayBuffer: PropTypes.string,
 
+  /**
+   * User callback function called when the data starts being
+   * fetched from the url or read from the file/blob
+   */
+  onLoadStart: PropTypes.func,
+
+  /**
+   * User callback function called with the loading progress in [0, 1]
+   */
+  onProgress: PropTypes.func,
+
+  /**
+   * User callback function called once the data is given to the reader
+   */
+  onLoad: PropTypes.func,
+
+  /**
+   * User callback function called with the Error preventing the data
+   * from being loaded. The representation is hidden.
+   */
+  onError: PropTypes.func,
+
+  /**
+   * Read-only loading status: 'loading', 'loaded' or 'error'
+   */
+  status: PropTypes.oneOf(['loading', 'loaded', 'error']),
+
+  /**
+   * Read-only loading progress in [0, 1]
+   */
+  progress: PropTypes.number,
+
+  /**
+   * Read-only message of the last loading error
+   */
+  error: PropTypes.string,
+
   /**
    * Automatically render on data loaded
    */
@@ -116,6 +116,12 @@ export default class ShareDataSet extends Component {
     }
   }
 
+  dataUnavailable() {
+    if (this.representation) {
+      this.representation.dataUnavailable();
+    }
+  }
+
   dataChanged() {
     if (this.representation) {
       this.representation.dataChanged();
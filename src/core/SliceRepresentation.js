@@ -28,7 +28,10 @@ export default class SliceRepresentation extends Component {
     // Create vtk.js objects
     this.lookupTable = vtkColorTransferFunction.newInstance();
     this.piecewiseFunction = vtkPiecewiseFunction.newInstance();
-    this.actor = vtkImageSlice.newInstance({ visibility: false });
+    this.actor = vtkImageSlice.newInstance({
+      visibility: false,
+      representationId: props.id,
+    });
     this.mapper = vtkImageMapper.newInstance();
     this.actor.setMapper(this.mapper);
 
@@ -189,6 +192,18 @@ export default class SliceRepresentation extends Component {
     }
   }
 
+  dataUnavailable() {
+    if (this.validData) {
+      this.validData = false;
+      this.actor.setVisibility(false);
+
+      // trigger render
+      if (this.view) {
+        this.view.renderView();
+      }
+    }
+  }
+
   dataChanged() {
     if (this.props.colorDataRange === 'auto') {
       this.mapper.update();
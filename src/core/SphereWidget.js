@@ -0,0 +1,75 @@
+import PropTypes from 'prop-types';
+
+import Widget from './Widget';
+
+import vtkSphereWidget from './SphereWidgetFactory';
+
+/**
+ * SphereWidget is a sphere with a handle at its center to move it and a
+ * handle on its surface to change its radius.
+ * It needs to be nested inside a WidgetManager and takes the following set
+ * of properties:
+ *   - center: [0, 0, 0]
+ *   - radius: 1
+ *   - opacity: 0.3
+ *   - onChange: ({ center, radius }) => {}
+ */
+export default class SphereWidget extends Widget {
+  get stateProperties() {
+    return ['center', 'radius'];
+  }
+
+  createWidget(props) {
+    return vtkSphereWidget.newInstance();
+  }
+
+  initViewWidget(viewWidget) {
+    // Let the handle inside the sphere be visible
+    this.sphereProperty = viewWidget
+      .getRepresentations()[1]
+      .getActor()
+      .getProperty();
+  }
+
+  update(props, previous) {
+    if (!previous || props.opacity !== previous.opacity) {
+      this.sphereProperty.setOpacity(props.opacity);
+    }
+
+    super.update(props, previous);
+  }
+
+  getWidgetValue() {
+    return { center: this.widget.getCenter(), radius: this.widget.getRadius() };
+  }
+
+  setWidgetValue({ center, radius }) {
+    this.widget.setCenterAndRadius(center, radius);
+  }
+}
+
+SphereWidget.defaultProps = {
+  ...Widget.defaultProps,
+  center: [0, 0, 0],
+  radius: 1,
+  opacity: 0.3,
+};
+
+SphereWidget.propTypes = {
+  ...Widget.propTypes,
+
+  /**
+   * Center of the sphere
+   */
+  center: PropTypes.arrayOf(PropTypes.number),
+
+  /**
+   * Radius of the sphere
+   */
+  radius: PropTypes.number,
+
+  /**
+   * Opacity of the sphere surface
+   */
+  opacity: PropTypes.number,
+};
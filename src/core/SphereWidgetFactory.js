@@ -0,0 +1,183 @@
+import macro from '@kitware/vtk.js/macros.js';
+import vtkAbstractWidgetFactory from '@kitware/vtk.js/Widgets/Core/AbstractWidgetFactory.js';
+import vtkPlaneManipulator from '@kitware/vtk.js/Widgets/Manipulators/PlaneManipulator.js';
+import vtkSphereHandleRepresentation from '@kitware/vtk.js/Widgets/Representations/SphereHandleRepresentation.js';
+import vtkStateBuilder from '@kitware/vtk.js/Widgets/Core/StateBuilder.js';
+import vtkMath from '@kitware/vtk.js/Common/Core/Math.js';
+import { Behavior } from '@kitware/vtk.js/Widgets/Representations/WidgetRepresentation/Constants.js';
+
+// Keep the sphere centered on the center handle and going through
+// the border handle
+function updateSphere(widgetState) {
+  const center = widgetState.getCenterHandle().getOrigin();
+  const border = widgetState.getBorderHandle().getOrigin();
+  const radius = Math.sqrt(vtkMath.distance2BetweenPoints(center, border));
+  widgetState.getSphere().setOrigin(center);
+  widgetState.getSphere().setScale1(2 * radius);
+}
+
+function generateState() {
+  return vtkStateBuilder
+    .createBuilder()
+    .addStateFromMixin({
+      labels: ['handles', 'centerHandle'],
+      mixins: ['origin', 'color', 'scale1', 'visible', 'manipulator'],
+      name: 'centerHandle',
+      initialValues: { scale1: 20, origin: [0, 0, 0], visible: true },
+    })
+    .addStateFromMixin({
+      labels: ['handles', 'borderHandle'],
+      mixins: ['origin', 'color', 'scale1', 'visible', 'manipulator'],
+      name: 'borderHandle',
+      initialValues: { scale1: 20, origin: [1, 0, 0], visible: true },
+    })
+    .addStateFromMixin({
+      labels: ['sphere'],
+      mixins: ['origin', 'color', 'scale1', 'visible'],
+      name: 'sphere',
+      initialValues: { scale1: 2, origin: [0, 0, 0], visible: true },
+    })
+    .build();
+}
+
+// ----------------------------------------------------------------------------
+// Widget linked to a view
+// ----------------------------------------------------------------------------
+
+function widgetBehavior(publicAPI, model) {
+  model.classHierarchy.push('vtkSphereWidgetProp');
+  let isDragging = false;
+
+  publicAPI.handleLeftButtonPress = (callData) => {
+    if (
+      !model.activeState ||
+      !model.activeState.getActive() ||
+      !model.pickable
+    ) {
+      return macro.VOID;
+    }
+
+    // Move the handles in the plane facing the camera
+    const manipulator = model.activeState.getManipulator();
+    manipulator.setOrigin(model.activeState.getOrigin());
+    manipulator.setNormal(model.camera.getDirectionOfProjection());
+
+    isDragging = true;
+    model.interactor.requestAnimation(publicAPI);
+    publicAPI.invokeStartInteractionEvent();
+    return macro.EVENT_ABORT;
+  };
+
+  publicAPI.handleMouseMove = (callData) => {
+    if (!isDragging || !model.pickable || !model.activeState) {
+      return macro.VOID;
+    }
+
+    const worldCoords = model.activeState
+      .getManipulator()
+      .handleEvent(callData, model.apiSpecificRenderWindow);
+    const centerHandle = model.widgetState.getCenterHandle();
+    const borderHandle = model.widgetState.getBorderHandle();
+    if (model.activeState === centerHandle) {
+      // Translate the whole sphere
+      const translation = [0, 0, 0];
+      vtkMath.subtract(worldCoords, centerHandle.getOrigin(), translation);
+      const border = [0, 0, 0];
+      vtkMath.add(borderHandle.getOrigin(), translation, border);
+      borderHandle.setOrigin(border);
+    }
+    model.activeState.setOrigin(worldCoords);
+    updateSphere(model.widgetState);
+
+    publicAPI.invokeInteractionEvent();
+    return macro.EVENT_ABORT;
+  };
+
+  publicAPI.handleLeftButtonRelease = () => {
+    if (isDragging && model.pickable) {
+      publicAPI.invokeEndInteractionEvent();
+      model.interactor.cancelAnimation(publicAPI);
+    }
+    isDragging = false;
+    model.widgetState.deactivate();
+  };
+}
+
+// ----------------------------------------------------------------------------
+// vtkSphereWidget methods
+// ----------------------------------------------------------------------------
+
+function vtkSphereWidget(publicAPI, model) {
+  model.classHierarchy.push('vtkSphereWidget');
+
+  // --- Widget Requirement ---------------------------------------------------
+
+  model.widgetState = generateState();
+  model.behavior = widgetBehavior;
+
+  const manipulator = vtkPlaneManipulator.newInstance();
+  model.widgetState
+    .getStatesWithLabel('handles')
+    .forEach((handle) => handle.setManipulator(manipulator));
+
+  publicAPI.getRepresentationsForViewType = (viewType) => [
+    {
+      builder: vtkSphereHandleRepresentation,
+      labels: ['handles'],
+      initialValues: { scaleInPixels: true },
+    },
+    {
+      builder: vtkSphereHandleRepresentation,
+      labels: ['sphere'],
+      initialValues: {
+        behavior: Behavior.CONTEXT,
+        pickable: false,
+        glyphResolution: 32,
+      },
+    },
+  ];
+
+  // --- Public methods -------------------------------------------------------
+
+  publicAPI.getCenter = () => model.widgetState.getCenterHandle().getOrigin();
+
+  publicAPI.getRadius = () => model.widgetState.getSphere().getScale1() / 2;
+
+  publicAPI.setCenterAndRadius = (center, radius) => {
+    // Keep the border handle in the same direction from the center
+    const direction = [0, 0, 0];
+    vtkMath.subtract(
+      model.widgetState.getBorderHandle().getOrigin(),
+      model.widgetState.getCenterHandle().getOrigin(),
+      direction
+    );
+    if (vtkMath.normalize(direction) === 0) {
+      direction[0] = 1;
+    }
+    model.widgetState.getCenterHandle().setOrigin(center);
+    model.widgetState
+      .getBorderHandle()
+      .setOrigin(center.map((v, i) => v + radius * direction[i]));
+    updateSphere(model.widgetState);
+  };
+}
+
+// ----------------------------------------------------------------------------
+// Object factory
+// ----------------------------------------------------------------------------
+
+function extend(publicAPI, model, initialValues = {}) {
+  Object.assign(model, initialValues);
+
+  // Inheritance
+  vtkAbstractWidgetFactory.extend(publicAPI, model, initialValues);
+
+  // Object specific methods
+  vtkSphereWidget(publicAPI, model);
+}
+
+// ----------------------------------------------------------------------------
+
+export const newInstance = macro.newInstance(extend, 'vtkSphereWidget');
+
+export default { newInstance, extend };
@@ -0,0 +1,346 @@
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+
+import { RepresentationContext, DownstreamContext } from './View';
+
+import vtk from '@kitware/vtk.js/vtk.js';
+
+/**
+ * TimeSeries is exposing one dataset of an ordered list of time steps to a
+ * downstream filter. The representation stays the same while the time is
+ * changing so the camera and color map are preserved.
+ * It takes the following set of properties:
+ *   - datasets: [vtkDataSet | serialized dataset | url, ...]
+ *   - loader: (index) => Promise(vtkDataSet)
+ *   - numberOfTimeSteps: number of steps when using a loader
+ *   - timeIndex: 0
+ *   - playing: false
+ *   - fps: 10
+ *   - loop: true
+ *   - prefetch: 1
+ */
+export default class TimeSeries extends Component {
+  constructor(props) {
+    super(props);
+
+    // Loaded time steps: index => Promise(dataset)
+    this.cache = new Map();
+    this.currentIndex = props.timeIndex;
+    this.playTimeout = null;
+
+    this.nextStep = () => {
+      this.playTimeout = null;
+      const nbSteps = this.getNumberOfTimeSteps();
+      let index = this.currentIndex + 1;
+      if (index >= nbSteps) {
+        if (!this.props.loop) {
+          this.setPlaying(false);
+          return;
+        }
+        index = 0;
+      }
+      this.setTimeIndex(index);
+    };
+  }
+
+  render() {
+    return (
+      <RepresentationContext.Consumer>
+        {(representation) => (
+          <DownstreamContext.Consumer>
+            {(downstream) => {
+              this.representation = representation;
+              if (!this.downstream) {
+                this.downstream = downstream;
+              }
+              return <div key={this.props.id} id={this.props.id} />;
+            }}
+          </DownstreamContext.Consumer>
+        )}
+      </RepresentationContext.Consumer>
+    );
+  }
+
+  componentDidMount() {
+    this.update(this.props);
+  }
+
+  componentDidUpdate(prevProps, prevState, snapshot) {
+    this.update(this.props, prevProps);
+  }
+
+  componentWillUnmount() {
+    clearTimeout(this.playTimeout);
+    this.playTimeout = null;
+    this.cache.clear();
+    this.cache = null;
+  }
+
+  update(props, previous) {
+    const {
+      datasets,
+      loader,
+      numberOfTimeSteps,
+      vtkClass,
+      timeIndex,
+      playing,
+      fps,
+    } = props;
+
+    if (
+      previous &&
+      (datasets !== previous.datasets ||
+        loader !== previous.loader ||
+        numberOfTimeSteps !== previous.numberOfTimeSteps ||
+        vtkClass !== previous.vtkClass)
+    ) {
+      this.cache.clear();
+      this.showTimeStep(
+        Math.min(this.currentIndex, this.getNumberOfTimeSteps() - 1)
+      );
+    }
+
+    if (
+      !previous ||
+      (timeIndex !== previous.timeIndex && timeIndex !== this.currentIndex)
+    ) {
+      this.showTimeStep(timeIndex);
+    }
+
+    if (!previous || playing !== previous.playing || fps !== previous.fps) {
+      clearTimeout(this.playTimeout);
+      this.playTimeout = null;
+      if (playing) {
+        this.schedule();
+      }
+    }
+  }
+
+  getNumberOfTimeSteps() {
+    const { datasets, loader, numberOfTimeSteps } = this.props;
+    if (loader) {
+      return numberOfTimeSteps;
+    }
+    return datasets.length;
+  }
+
+  loadTimeStep(index) {
+    if (this.cache.has(index)) {
+      // Keep most recently used steps at the end
+      const cached = this.cache.get(index);
+      this.cache.delete(index);
+      this.cache.set(index, cached);
+      return cached;
+    }
+
+    const dataset = this.fetchTimeStep(index);
+
+    // Forget about failed steps so they can be loaded again
+    dataset.catch(() => {
+      if (this.cache && this.cache.get(index) === dataset) {
+        this.cache.delete(index);
+      }
+    });
+
+    this.cache.set(index, dataset);
+    while (this.cache.size > Math.max(this.props.cacheSize, 1)) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+
+    return dataset;
+  }
+
+  fetchTimeStep(index) {
+    const { datasets, loader, vtkClass, options } = this.props;
+    if (loader) {
+      return Promise.resolve(loader(index));
+    }
+
+    const item = datasets[index];
+    if (typeof item === 'string') {
+      const reader = vtk({ vtkClass });
+      return reader.setUrl(item, options).then(() => {
+        const output = reader.getOutputData();
+        reader.delete();
+        return output;
+      });
+    }
+    if (item && item.isA) {
+      return Promise.resolve(item);
+    }
+    return Promise.resolve(vtk(item));
+  }
+
+  showTimeStep(index) {
+    const nbSteps = this.getNumberOfTimeSteps();
+    if (index < 0 || index >= nbSteps) {
+      return;
+    }
+
+    this.currentIndex = index;
+    this.loadTimeStep(index).then(
+      (dataset) => {
+        if (!this.cache || this.currentIndex !== index) {
+          return;
+        }
+
+        this.downstream.setInputData(dataset, this.props.port);
+        if (this.representation) {
+          this.representation.dataAvailable();
+          this.representation.dataChanged();
+        }
+
+        this.prefetchNeighbors(index);
+        if (this.props.playing && this.playTimeout === null) {
+          this.schedule();
+        }
+      },
+      (error) => {
+        if (this.cache && this.props.onError) {
+          this.props.onError(error, index);
+        }
+      }
+    );
+  }
+
+  prefetchNeighbors(index) {
+    const nbSteps = this.getNumberOfTimeSteps();
+    const { prefetch, loop } = this.props;
+    for (let i = 1; i <= prefetch; i++) {
+      [index + i, index - i].forEach((neighbor) => {
+        const step = loop ? (neighbor + nbSteps) % nbSteps : neighbor;
+        if (step >= 0 && step < nbSteps && !this.cache.has(step)) {
+          this.loadTimeStep(step);
+        }
+      });
+    }
+  }
+
+  schedule() {
+    this.playTimeout = setTimeout(this.nextStep, 1000 / this.props.fps);
+  }
+
+  setTimeIndex(timeIndex) {
+    this.showTimeStep(timeIndex);
+
+    // Share the time with the rest of the world
+    if (this.props.onTimeChange) {
+      this.props.onTimeChange(timeIndex);
+    }
+
+    if ('setProps' in this.props) {
+      this.props.setProps({ timeIndex });
+    }
+  }
+
+  setPlaying(playing) {
+    if (this.props.onPlayingChange) {
+      this.props.onPlayingChange(playing);
+    }
+
+    if ('setProps' in this.props) {
+      this.props.setProps({ playing });
+    }
+  }
+}
+
+TimeSeries.defaultProps = {
+  port: 0,
+  datasets: [],
+  numberOfTimeSteps: 0,
+  vtkClass: 'vtkXMLPolyDataReader',
+  options: { binary: true },
+  timeIndex: 0,
+  playing: false,
+  fps: 10,
+  loop: true,
+  prefetch: 1,
+  cacheSize: 20,
+};
+
+TimeSeries.propTypes = {
+  /**
+   * The ID used to identify this component.
+   */
+  id: PropTypes.string,
+
+  /**
+   * downstream connection port
+   */
+  port: PropTypes.number,
+
+  /**
+   * Ordered list of time steps. Each entry can be a vtkDataSet,
+   * a serialized vtk.js dataset or a url to load with vtkClass.
+   */
+  datasets: PropTypes.arrayOf(
+    PropTypes.oneOfType([PropTypes.string, PropTypes.object])
+  ),
+
+  /**
+   * Function returning the dataset (or a Promise of it) for a given index.
+   * When provided, numberOfTimeSteps must be set and datasets is ignored.
+   */
+  loader: PropTypes.func,
+
+  /**
+   * Number of time steps available through the loader
+   */
+  numberOfTimeSteps: PropTypes.number,
+
+  /**
+   * vtkClass name of the reader used to load urls
+   */
+  vtkClass: PropTypes.string,
+
+  /**
+   * Reader options used to load urls
+   */
+  options: PropTypes.object,
+
+  /**
+   * Index of the time step to show
+   */
+  timeIndex: PropTypes.number,
+
+  /**
+   * Automatically move to the next time step
+   */
+  playing: PropTypes.bool,
+
+  /**
+   * Number of time steps per second while playing
+   */
+  fps: PropTypes.number,
+
+  /**
+   * Go back to the first time step after the last one while playing
+   */
+  loop: PropTypes.bool,
+
+  /**
+   * Number of time steps to load ahead (and behind) the current one
+   */
+  prefetch: PropTypes.number,
+
+  /**
+   * Maximum number of loaded time steps to keep in memory
+   */
+  cacheSize: PropTypes.number,
+
+  /**
+   * User callback function called with the new time index while playing
+   */
+  onTimeChange: PropTypes.func,
+
+  /**
+   * User callback function called when playing stops at the last time step
+   */
+  onPlayingChange: PropTypes.func,
+
+  /**
+   * User callback function called with (error, index) when a time step
+   * could not be loaded
+   */
+  onError: PropTypes.func,
+};
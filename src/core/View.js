@@ -5,7 +5,7 @@ import PropTypes from 'prop-types';
 // vtk.js Rendering stack
 // ----------------------------------------------------------------------------
 
-import { debounce } from '@kitware/vtk.js/macros.js';
+import { debounce, throttle } from '@kitware/vtk.js/macros.js';
 
 import vtkOpenGLRenderWindow from '@kitware/vtk.js/Rendering/OpenGL/RenderWindow.js';
 import vtkRenderWindow from '@kitware/vtk.js/Rendering/Core/RenderWindow.js';
@@ -25,11 +25,18 @@ import vtkMouseCameraTrackballZoomManipulator from '@kitware/vtk.js/Interaction/
 import vtkMouseCameraTrackballZoomToMouseManipulator from '@kitware/vtk.js/Interaction/Manipulators/MouseCameraTrackballZoomToMouseManipulator.js';
 import vtkGestureCameraManipulator from '@kitware/vtk.js/Interaction/Manipulators/GestureCameraManipulator.js';
 import vtkMouseBoxSelectorManipulator from '@kitware/vtk.js/Interaction/Manipulators/MouseBoxSelectorManipulator.js';
+import vtkMouseLassoSelectorManipulator from './MouseLassoSelectorManipulator';
 
 // Picking handling
 import vtkOpenGLHardwareSelector from '@kitware/vtk.js/Rendering/OpenGL/HardwareSelector.js';
+import vtkCellPicker from '@kitware/vtk.js/Rendering/Core/CellPicker.js';
+import vtkMath from '@kitware/vtk.js/Common/Core/Math.js';
 import { FieldAssociations } from '@kitware/vtk.js/Common/DataModel/DataSet/Constants.js';
 
+import { dataURLToBlob, pointInPolygon, createPointLocator } from '../utils';
+import { readFile } from '../io/readers';
+import createDatasetProps from '../io/datasetProps';
+
 // ----------------------------------------------------------------------------
 // Context to pass parent variables to children
 // ----------------------------------------------------------------------------
@@ -39,6 +46,7 @@ export const RepresentationContext = React.createContext(null);
 export const DataSetContext = React.createContext(null);
 export const FieldsContext = React.createContext(null);
 export const DownstreamContext = React.createContext(null);
+export const WidgetManagerContext = React.createContext(null);
 
 // ----------------------------------------------------------------------------
 // Helper constants
@@ -53,6 +61,7 @@ const manipulatorFactory = {
   MultiRotate: vtkMouseCameraTrackballMultiRotateManipulator,
   ZoomToMouse: vtkMouseCameraTrackballZoomToMouseManipulator,
   Select: vtkMouseBoxSelectorManipulator,
+  Lasso: vtkMouseLassoSelectorManipulator,
 };
 
 function assignManipulators(style, settings, view) {
@@ -86,6 +95,9 @@ function assignManipulators(style, settings, view) {
       if (manipulator.onBoxSelectChange && view.onBoxSelectChange) {
         manipulator.onBoxSelectChange(view.onBoxSelectChange);
       }
+      if (manipulator.onLassoSelectChange && view.onLassoSelectChange) {
+        manipulator.onLassoSelectChange(view.onLassoSelectChange);
+      }
       if (useWorldUpVec !== undefined) {
         manipulator.setUseWorldUpVec(useWorldUpVec);
       }
@@ -104,6 +116,250 @@ function assignManipulators(style, settings, view) {
   style.addGestureManipulator(vtkGestureCameraManipulator.newInstance());
 }
 
+// ----------------------------------------------------------------------------
+// Picking helpers
+// ----------------------------------------------------------------------------
+
+const FIELD_ASSOCIATIONS = {
+  points: FieldAssociations.FIELD_ASSOCIATION_POINTS,
+  cells: FieldAssociations.FIELD_ASSOCIATION_CELLS,
+};
+
+// Point locators of the picked datasets, built again when they change
+const POINT_LOCATORS = new WeakMap();
+
+function getPointLocator(dataset) {
+  const mtime = dataset.getPoints().getMTime();
+  let entry = POINT_LOCATORS.get(dataset);
+  if (!entry || entry.mtime !== mtime) {
+    const locator = createPointLocator(dataset.getPoints().getData());
+    entry = { mtime, locator };
+    POINT_LOCATORS.set(dataset, entry);
+  }
+  return entry.locator;
+}
+
+// Times of the cell links built for the picked datasets
+const CELL_LINKS_TIMES = new WeakMap();
+
+// Cell id of the polydata for the poly cell picked by a vtkCellPicker,
+// looked up among the cells using its first point
+function findPickedCell(dataset, picker) {
+  const polys = dataset.getPolys().getData();
+  let offset = 0;
+  for (let i = 0; i < picker.getCellId(); i++) {
+    offset += polys[offset] + 1;
+  }
+  const pointIds = polys.subarray(offset + 1, offset + 1 + polys[offset]);
+
+  if (CELL_LINKS_TIMES.get(dataset) !== dataset.getMTime()) {
+    try {
+      dataset.buildLinks();
+    } catch (error) {
+      // vtk.js can not build the cells of polys mixed with strips
+      return -1;
+    }
+    CELL_LINKS_TIMES.set(dataset, dataset.getMTime());
+  }
+  const cellIds = Array.from(dataset.getPointCells(pointIds[0]));
+  const cellId = cellIds.find((id) => {
+    const { cellPointIds } = dataset.getCellPoints(id);
+    return (
+      cellPointIds &&
+      cellPointIds.length === pointIds.length &&
+      cellPointIds.every((pointId, i) => pointId === pointIds[i])
+    );
+  });
+  return cellId === undefined ? -1 : cellId;
+}
+
+// Extract the values of every array for a given point or cell id
+function getTupleValues(fields, id) {
+  const values = {};
+  fields.getArrays().forEach((array) => {
+    if (id < array.getNumberOfTuples()) {
+      const tuple = array.getTuple(id);
+      values[array.getName()] =
+        tuple.length === 1 ? tuple[0] : Array.from(tuple);
+    }
+  });
+  return values;
+}
+
+// Images are not rendered in the selection buffer and need to be ray casted
+function isImageProp(prop) {
+  return prop.isA('vtkVolume') || prop.isA('vtkImageSlice');
+}
+
+// Transform a world position into the data coordinates of a prop
+function worldToData(prop, position) {
+  const matrix = prop.getMatrix();
+  const rows = [0, 1, 2, 3].map((i) =>
+    Array.from(matrix.slice(i * 4, i * 4 + 4))
+  );
+  const inverse = [[], [], [], []];
+  vtkMath.invertMatrix(rows, inverse, 4);
+  return [0, 1, 2].map(
+    (i) =>
+      inverse[i][0] * position[0] +
+      inverse[i][1] * position[1] +
+      inverse[i][2] * position[2] +
+      inverse[i][3]
+  );
+}
+
+// Multiply two (row major) 4x4 matrices
+function multiplyMatrices(a, b) {
+  const out = new Float64Array(16);
+  for (let row = 0; row < 4; row++) {
+    for (let col = 0; col < 4; col++) {
+      for (let k = 0; k < 4; k++) {
+        out[row * 4 + col] += a[row * 4 + k] * b[k * 4 + col];
+      }
+    }
+  }
+  return out;
+}
+
+// Create a function writing the display position of the point id of a
+// prop into out and returning false when the point is behind the camera
+function createDisplayProjection(prop, renderer, openglRenderWindow) {
+  const [width, height] = openglRenderWindow.getFramebufferSize();
+  const [viewportWidth, viewportHeight] = openglRenderWindow.getViewportSize(
+    renderer
+  );
+  const viewport = renderer.getViewport();
+  const m = multiplyMatrices(
+    renderer
+      .getActiveCamera()
+      .getCompositeProjectionMatrix(viewportWidth / viewportHeight, -1, 1),
+    prop.getMatrix()
+  );
+  return (points, id, out) => {
+    const x = points[id * 3];
+    const y = points[id * 3 + 1];
+    const z = points[id * 3 + 2];
+    const w = m[12] * x + m[13] * y + m[14] * z + m[15];
+    if (w <= 0) {
+      return false;
+    }
+    const nx = (m[0] * x + m[1] * y + m[2] * z + m[3]) / w;
+    const ny = (m[4] * x + m[5] * y + m[6] * z + m[7]) / w;
+    out[0] =
+      (((nx + 1) / 2) * (viewport[2] - viewport[0]) + viewport[0]) * width;
+    out[1] =
+      (((ny + 1) / 2) * (viewport[3] - viewport[1]) + viewport[1]) * height;
+    return true;
+  };
+}
+
+// Index of the point at the given ijk location
+function computePointId(extent, ijk) {
+  const nx = extent[1] - extent[0] + 1;
+  const ny = extent[3] - extent[2] + 1;
+  return (
+    ijk[0] - extent[0] + nx * (ijk[1] - extent[2] + ny * (ijk[2] - extent[4]))
+  );
+}
+
+// Parametric position along the index space ray [from, to] where the
+// slice shown by the image mapper is crossed. The slice is an absolute
+// index, not an offset from the extent origin.
+function castSlice(mapper, from, to) {
+  const { ijkMode } = mapper.getClosestIJKAxis();
+  let slice = mapper.getSlice();
+  if (ijkMode !== mapper.getSlicingMode()) {
+    slice = mapper.getSliceAtPosition(slice);
+  }
+  const direction = to[ijkMode] - from[ijkMode];
+  if (direction === 0) {
+    return null;
+  }
+  const t = (slice - from[ijkMode]) / direction;
+  return t >= 0 && t <= 1 ? t : null;
+}
+
+// Parametric position along the index space ray [from, to] of the first
+// voxel which is not fully transparent
+function castVolume(volume, scalars, image, from, to) {
+  const extent = image.getExtent();
+  let tEnter = 0;
+  let tExit = 1;
+  for (let i = 0; i < 3; i++) {
+    const direction = to[i] - from[i];
+    if (direction === 0) {
+      if (from[i] < extent[i * 2] || from[i] > extent[i * 2 + 1]) {
+        return null;
+      }
+    } else {
+      const t1 = (extent[i * 2] - from[i]) / direction;
+      const t2 = (extent[i * 2 + 1] - from[i]) / direction;
+      tEnter = Math.max(tEnter, Math.min(t1, t2));
+      tExit = Math.min(tExit, Math.max(t1, t2));
+    }
+  }
+  if (tEnter > tExit) {
+    return null;
+  }
+
+  // March along the ray with half voxel steps
+  const opacity = volume.getProperty().getScalarOpacity(0);
+  const length = Math.sqrt(vtkMath.distance2BetweenPoints(from, to));
+  const nbSteps = Math.ceil(length * (tExit - tEnter) * 2) + 1;
+  for (let step = 0; step <= nbSteps; step++) {
+    const t = tEnter + ((tExit - tEnter) * step) / nbSteps;
+    const ijk = from.map((v, i) => Math.round(v + t * (to[i] - v)));
+    const value = scalars.getComponent(computePointId(extent, ijk), 0);
+    if (!opacity || opacity.getValue(value) > 0) {
+      return t;
+    }
+  }
+  return null;
+}
+
+// ----------------------------------------------------------------------------
+// Camera linking
+// ----------------------------------------------------------------------------
+
+const CAMERA_STATE_PROPERTIES = [
+  'position',
+  'focalPoint',
+  'viewUp',
+  'viewAngle',
+  'parallelScale',
+  'clippingRange',
+];
+
+const CAMERA_SYNC_PROPERTIES = [
+  'position',
+  'focalPoint',
+  'viewUp',
+  'parallelScale',
+];
+
+// Views sharing their camera, indexed by cameraGroup name
+const CAMERA_GROUPS = {};
+
+function joinCameraGroup(name, view) {
+  if (!CAMERA_GROUPS[name]) {
+    CAMERA_GROUPS[name] = [];
+  }
+  CAMERA_GROUPS[name].push(view);
+}
+
+function leaveCameraGroup(name, view) {
+  const group = CAMERA_GROUPS[name];
+  if (group) {
+    const index = group.indexOf(view);
+    if (index !== -1) {
+      group.splice(index, 1);
+    }
+    if (group.length === 0) {
+      delete CAMERA_GROUPS[name];
+    }
+  }
+}
+
 // ----------------------------------------------------------------------------
 // Default css styles
 // ----------------------------------------------------------------------------
@@ -114,6 +370,10 @@ const RENDERER_STYLE = {
   height: '100%',
   overflow: 'hidden',
 };
+
+const OFFSCREEN_STYLE = {
+  display: 'none',
+};
 /**
  * View is responsible to render vtk.js data.
  * It takes the following set of properties:
@@ -121,6 +381,9 @@ const RENDERER_STYLE = {
  *   - `cameraPosition`: [0, 0, 1]
  *   - `cameraViewUp`: [0, 1, 0]
  *   - `cameraParallelProjection`: false
+ *   - `offscreen`: false
+ * Render requests from renderView() are coalesced into a single render per
+ * animation frame while renderNow() is rendering synchronously.
  */
 export default class View extends Component {
   constructor(props) {
@@ -150,20 +413,102 @@ export default class View extends Component {
     this.selector = vtkOpenGLHardwareSelector.newInstance({
       captureZValues: true,
     });
-    this.selector.setFieldAssociation(
-      FieldAssociations.FIELD_ASSOCIATION_POINTS
-    );
     this.selector.attach(this.openglRenderWindow, this.renderer);
 
-    // Resize handling
-    this.resizeObserver = new ResizeObserver(() => this.onResize());
+    // The selector does not capture ids so cells are picked on the CPU
+    this.cellPicker = vtkCellPicker.newInstance();
+    this.cellPicker.setPickFromList(true);
+
+    // Resize handling (offscreen is only read at mount)
+    this.offscreen = !!props.offscreen;
+    if (this.offscreen) {
+      // Detached container, the canvas is never added to the document
+      this.offscreenContainer = document.createElement('div');
+      this.resizeObserver = null;
+    } else {
+      this.resizeObserver = new ResizeObserver(() => this.onResize());
+    }
+
+    // Render scheduling: coalesce render requests into one per frame
+    this.renderRequest = null;
+    this.capturing = false;
+    this.pendingCaptures = 0;
+    this.renderStatistics = {
+      renderCount: 0,
+      requestCount: 0,
+      lastFrameTime: 0,
+      lastRenderTimestamp: 0,
+    };
+    const recordFrame = (start) => {
+      const now = performance.now();
+      this.renderStatistics.renderCount++;
+      this.renderStatistics.lastFrameTime = now - start;
+      this.renderStatistics.lastRenderTimestamp = now;
+    };
 
     // expose helper methods
     this.renderView = () => {
+      this.renderStatistics.requestCount++;
+      if (this.renderRequest === null) {
+        this.renderRequest = requestAnimationFrame(this.renderNow);
+      }
+    };
+    this.renderNow = () => {
+      if (this.renderRequest !== null) {
+        cancelAnimationFrame(this.renderRequest);
+        this.renderRequest = null;
+      }
+      if (!this.renderWindow) {
+        return;
+      }
+      this.acquireContext();
+      const start = performance.now();
       this.updateCubeBounds();
       this.renderWindow.render();
+      recordFrame(start);
+
+      // Renders made to capture an image are not new content
+      if (!this.capturing) {
+        if (this.props.onRendered) {
+          this.props.onRendered(this);
+        }
+        this.releaseContext();
+      }
+    };
+
+    // Continuous animation
+    this.frameCallbacks = [];
+    this.animationRequest = null;
+    this.lastAnimationTime = null;
+    this.animationFrame = (time) => {
+      const delta =
+        this.lastAnimationTime === null ? 0 : time - this.lastAnimationTime;
+      this.lastAnimationTime = time;
+      this.frameCallbacks.forEach((callback) => callback(time, delta));
+      this.renderNow();
+      this.animationRequest = requestAnimationFrame(this.animationFrame);
     };
     this.resetCamera = this.resetCamera.bind(this);
+    this.captureImage = this.captureImage.bind(this);
+    this.screenshot = () => {
+      const { blob, ...options } = this.props.screenshotOptions;
+      this.captureImage(options).then((screenshot) => {
+        if (!this.renderer) {
+          return;
+        }
+
+        // Share the image with the rest of the world
+        if (this.props.onScreenshot) {
+          this.props.onScreenshot(
+            blob ? dataURLToBlob(screenshot) : screenshot
+          );
+        }
+
+        if ('setProps' in this.props) {
+          this.props.setProps({ screenshot });
+        }
+      });
+    };
     const bbox = vtkBoundingBox.newInstance({ bounds: [0, 0, 0, 0, 0, 0] });
     this.updateCubeBounds = () => {
       if (!this.props.showCubeAxes) {
@@ -232,8 +577,12 @@ export default class View extends Component {
       }
     };
 
+    // Representations following the hovered element
+    this.hoverListeners = [];
+
     this.hover = debounce(({ x, y }, event) => {
-      if (this.props.pickingModes.indexOf('hover') === -1) {
+      const hoverMode = this.props.pickingModes.indexOf('hover') !== -1;
+      if (!hoverMode && !this.hoverListeners.length) {
         return;
       }
 
@@ -252,6 +601,11 @@ export default class View extends Component {
       }
       this.lastSelection = selection;
 
+      this.hoverListeners.forEach((listener) => listener(selection[0]));
+      if (!hoverMode) {
+        return;
+      }
+
       // Share the selection with the rest of the world
       if (this.props.onHover) {
         this.props.onHover(selection[0], event);
@@ -268,6 +622,16 @@ export default class View extends Component {
       }
       const [x1, x2, y1, y2] = selection;
       const pickResult = this.pick(x1, y1, x2, y2, true);
+      if (this.props.boxSelectElements) {
+        const renderer = this.findRenderer((x1 + x2) / 2, (y1 + y2) / 2);
+        Object.assign(
+          pickResult,
+          this.selectElements(
+            renderer,
+            ([x, y]) => x >= x1 && x <= x2 && y >= y1 && y <= y2
+          )
+        );
+      }
 
       // Share the selection with the rest of the world
       if (this.props.onSelect) {
@@ -301,10 +665,51 @@ export default class View extends Component {
         e
       );
     this.onMouseMove = (e) => this.hover(this.getScreenEventPositionFor(e), e);
+
+    // Files dropped on the view
+    this.droppedProps = [];
+    this.onDragOver = (e) => {
+      if (this.props.enableDropFiles) {
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'copy';
+      }
+    };
+    this.onDrop = (e) => {
+      if (this.props.enableDropFiles) {
+        e.preventDefault();
+        this.loadFiles(Array.from(e.dataTransfer.files));
+      }
+    };
     this.lastSelection = [];
 
     this.onBoxSelectChange = select;
 
+    this.onLassoSelectChange = ({ polygon }) => {
+      if (this.props.pickingModes.indexOf('select') === -1) {
+        return;
+      }
+      const renderer = this.findRenderer(...polygon[0]);
+      const { selection, truncated } = this.selectElements(
+        renderer,
+        (position) => pointInPolygon(position, polygon)
+      );
+      const pickResult = {
+        polygon,
+        representationIds: selection.map((v) => v.representationId),
+        selection,
+        truncated,
+      };
+
+      // Share the selection with the rest of the world
+      if (this.props.onSelect) {
+        this.props.onSelect(pickResult);
+      }
+
+      if ('setProps' in this.props) {
+        this.props.setProps({ selectInfo: pickResult });
+      }
+    };
+
     // Cube Axes
     this.cubeAxes = vtkCubeAxesActor.newInstance({
       visibility: false,
@@ -324,6 +729,50 @@ export default class View extends Component {
         }
       })
     );
+
+    // Account for the frames rendered by the interactor
+    if (this.interactor) {
+      let interactionFrameStart = null;
+      this.subscriptions.push(
+        this.interactor.onAnimation(() => {
+          interactionFrameStart = performance.now();
+        })
+      );
+      this.subscriptions.push(
+        this.interactor.onRenderEvent(() => {
+          if (interactionFrameStart !== null) {
+            recordFrame(interactionFrameStart);
+            interactionFrameStart = null;
+          }
+        })
+      );
+    }
+
+    // Camera linking
+    this.applyingLinkedCamera = false;
+    this.subscriptions.push(this.camera.onModified(() => this.shareCamera()));
+
+    // Camera state notification
+    this.cameraChanged = throttle(() => {
+      if (!this.renderer) {
+        return;
+      }
+      const camera = this.getCameraState();
+
+      // Share the camera with the rest of the world
+      if (this.props.onCameraChange) {
+        this.props.onCameraChange(camera);
+      }
+
+      if ('setProps' in this.props) {
+        this.props.setProps({ camera });
+      }
+    }, 100);
+    if (this.style) {
+      this.subscriptions.push(
+        this.style.onEndInteractionEvent(this.cameraChanged)
+      );
+    }
   }
 
   getPointerSizeTolerance() {
@@ -346,6 +795,14 @@ export default class View extends Component {
   render() {
     const { id, children, style, className } = this.props;
 
+    if (this.offscreen) {
+      return (
+        <div key={id} id={id} className={className} style={OFFSCREEN_STYLE}>
+          <ViewContext.Provider value={this}>{children}</ViewContext.Provider>
+        </div>
+      );
+    }
+
     return (
       <div
         key={id}
@@ -357,6 +814,8 @@ export default class View extends Component {
         onClick={this.onClick}
         onMouseUp={this.onMouseUp}
         onMouseMove={this.onMouseMove}
+        onDragOver={this.onDragOver}
+        onDrop={this.onDrop}
       >
         <div style={RENDERER_STYLE} ref={this.containerRef} />
         <div>
@@ -367,6 +826,13 @@ export default class View extends Component {
   }
 
   onResize() {
+    if (this.offscreen) {
+      // The size is applied when the context is acquired
+      this.releaseContext();
+      this.renderNow();
+      return;
+    }
+
     const container = this.containerRef.current;
     if (container) {
       const devicePixelRatio = window.devicePixelRatio || 1;
@@ -374,24 +840,32 @@ export default class View extends Component {
       const w = Math.floor(width * devicePixelRatio);
       const h = Math.floor(height * devicePixelRatio);
       this.openglRenderWindow.setSize(Math.max(w, 10), Math.max(h, 10));
-      this.renderWindow.render();
+      this.renderNow();
     }
   }
 
   componentDidMount() {
-    const container = this.containerRef.current;
-    this.openglRenderWindow.setContainer(container);
-    if (this.props.interactive) {
-      this.interactor.bindEvents(container);
+    if (this.offscreen) {
+      this.onResize();
+    } else {
+      const container = this.containerRef.current;
+      this.openglRenderWindow.setContainer(container);
+      if (this.props.interactive) {
+        this.interactor.bindEvents(container);
+      }
+      this.onResize();
+      this.resizeObserver.observe(container);
+      document.addEventListener('keyup', this.handleKey);
     }
-    this.onResize();
-    this.resizeObserver.observe(container);
     this.update(this.props);
-    document.addEventListener('keyup', this.handleKey);
-    this.resetCamera();
 
-    // Give a chance for the first layout to properly reset the camera
-    this.firstResetTimeout = setTimeout(() => this.resetCamera(), 100);
+    // A controlled camera must be used as is
+    if (!this.props.camera) {
+      this.resetCamera();
+
+      // Give a chance for the first layout to properly reset the camera
+      this.firstResetTimeout = setTimeout(() => this.resetCamera(), 100);
+    }
   }
 
   componentDidUpdate(prevProps, prevState, snapshot) {
@@ -403,26 +877,40 @@ export default class View extends Component {
     if (this.hover) this.hover.cancel();
     clearTimeout(this.resetCameraTimeout);
     clearTimeout(this.renderViewTimeout);
+    clearTimeout(this.screenshotTimeout);
     clearTimeout(this.firstResetTimeout);
+    this.stopAnimation();
+    if (this.renderRequest !== null) {
+      cancelAnimationFrame(this.renderRequest);
+      this.renderRequest = null;
+    }
 
     while (this.subscriptions.length) {
       this.subscriptions.pop().unsubscribe();
     }
 
+    this.clearDroppedFiles();
+
+    if (this.props.cameraGroup) {
+      leaveCameraGroup(this.props.cameraGroup, this);
+    }
+
     document.removeEventListener('keyup', this.handleKey);
     // Stop size listening
-    this.resizeObserver.disconnect();
-    this.resizeObserver = null;
+    if (this.resizeObserver) {
+      this.resizeObserver.disconnect();
+      this.resizeObserver = null;
+    }
 
     // Detatch from DOM
-    if (this.interactor) {
+    if (this.interactor && !this.offscreen) {
       this.interactor.unbindEvents();
     }
-    this.openglRenderWindow.setContainer(null);
+    this.deleteOpenGLRenderWindow();
+    this.offscreenContainer = null;
 
     // Free memory
     this.renderWindow.removeRenderer(this.renderer);
-    this.renderWindow.removeView(this.openglRenderWindow);
 
     if (this.interactor) {
       this.interactor.delete();
@@ -435,8 +923,8 @@ export default class View extends Component {
     this.renderWindow.delete();
     this.renderWindow = null;
 
-    this.openglRenderWindow.delete();
-    this.openglRenderWindow = null;
+    this.cellPicker.delete();
+    this.cellPicker = null;
   }
 
   update(props, previous) {
@@ -449,12 +937,33 @@ export default class View extends Component {
       cameraParallelProjection,
       triggerRender,
       triggerResetCamera,
+      triggerScreenshot,
       showCubeAxes,
       cubeAxesStyle,
+      cameraGroup,
+      camera,
+      animate,
+      size,
+      pickingFieldAssociation,
     } = props;
+    if (
+      this.offscreen &&
+      previous &&
+      JSON.stringify(size) !== JSON.stringify(previous.size)
+    ) {
+      this.onResize();
+    }
     if (background && (!previous || background !== previous.background)) {
       this.renderer.setBackground(background);
     }
+    if (
+      !previous ||
+      pickingFieldAssociation !== previous.pickingFieldAssociation
+    ) {
+      this.selector.setFieldAssociation(
+        FIELD_ASSOCIATIONS[pickingFieldAssociation]
+      );
+    }
     if (
       interactive &&
       interactorSettings &&
@@ -490,6 +999,32 @@ export default class View extends Component {
       }
     }
 
+    if (
+      camera &&
+      (!previous || JSON.stringify(camera) !== JSON.stringify(previous.camera))
+    ) {
+      this.camera.set(camera);
+      if (interactive) {
+        this.style.setCenterOfRotation(this.camera.getFocalPoint());
+      }
+      this.renderView();
+    }
+
+    if (!previous || cameraGroup !== previous.cameraGroup) {
+      if (previous && previous.cameraGroup) {
+        leaveCameraGroup(previous.cameraGroup, this);
+      }
+      if (cameraGroup) {
+        joinCameraGroup(cameraGroup, this);
+      }
+    }
+
+    if (animate && this.animationRequest === null) {
+      this.startAnimation();
+    } else if (!animate && this.animationRequest !== null) {
+      this.stopAnimation();
+    }
+
     if (this.cubeAxes.setVisibility(showCubeAxes)) {
       this.cubeAxes
         .getActors()
@@ -508,11 +1043,16 @@ export default class View extends Component {
     if (previous && triggerResetCamera !== previous.triggerResetCamera) {
       this.resetCameraTimeout = setTimeout(this.resetCamera, 0);
     }
+    if (previous && triggerScreenshot !== previous.triggerScreenshot) {
+      this.screenshotTimeout = setTimeout(this.screenshot, 0);
+    }
 
     // Assign the mouseDown event, we can't use the React event system
     // because the mouseDown event is swallowed by other logic
-    const canvas = this.openglRenderWindow.getCanvas();
-    canvas.addEventListener('mousedown', this.onMouseDown);
+    if (!this.offscreen) {
+      const canvas = this.openglRenderWindow.getCanvas();
+      canvas.addEventListener('mousedown', this.onMouseDown);
+    }
   }
 
   resetCamera() {
@@ -522,10 +1062,441 @@ export default class View extends Component {
         this.renderer.getActiveCamera().getFocalPoint()
       );
     }
-    this.renderWindow.render();
+    this.renderNow();
+    this.cameraChanged();
+  }
+
+  // Resolve a data URL (or Blob) of the next rendered frame
+  captureImage({
+    format = 'image/png',
+    scale = 1,
+    transparentBackground = false,
+    blob = false,
+  } = {}) {
+    const renderers = this.renderWindow.getRenderers();
+    const backgrounds = renderers.map((renderer) => renderer.getBackground());
+    if (transparentBackground) {
+      renderers.forEach((renderer, i) =>
+        renderer.setBackground(...backgrounds[i].slice(0, 3), 0)
+      );
+    }
+
+    this.acquireContext();
+    const image = this.openglRenderWindow.captureNextImage(format, { scale });
+    this.pendingCaptures++;
+    this.capturing = true;
+    this.renderNow();
+    this.capturing = false;
+
+    return image.then((dataURL) => {
+      this.pendingCaptures--;
+      if (transparentBackground && this.renderer) {
+        renderers.forEach((renderer, i) =>
+          renderer.setBackground(backgrounds[i])
+        );
+        this.renderView();
+      }
+      this.releaseContext();
+      return blob ? dataURLToBlob(dataURL) : dataURL;
+    });
+  }
+
+  // Offscreen views only hold a WebGL context while rendering or capturing
+  // since browsers only keep a few contexts alive and drop the oldest ones
+  acquireContext() {
+    if (this.openglRenderWindow || !this.offscreen) {
+      return;
+    }
+    this.openglRenderWindow = vtkOpenGLRenderWindow.newInstance();
+    this.renderWindow.addView(this.openglRenderWindow);
+    if (this.interactor) {
+      this.interactor.setView(this.openglRenderWindow);
+    }
+    this.openglRenderWindow.setContainer(this.offscreenContainer);
+    const [width, height] = this.props.size;
+    this.openglRenderWindow.setSize(Math.max(width, 10), Math.max(height, 10));
+  }
+
+  releaseContext() {
+    if (
+      this.offscreen &&
+      this.pendingCaptures === 0 &&
+      this.animationRequest === null
+    ) {
+      this.deleteOpenGLRenderWindow();
+    }
+  }
+
+  deleteOpenGLRenderWindow() {
+    if (!this.openglRenderWindow) {
+      return;
+    }
+    const gl = this.openglRenderWindow.getContext();
+    const extension = gl && gl.getExtension('WEBGL_lose_context');
+    this.openglRenderWindow.setContainer(null);
+    this.renderWindow.removeView(this.openglRenderWindow);
+    this.openglRenderWindow.delete();
+    this.openglRenderWindow = null;
+    // Do not wait for the garbage collection to free the context
+    if (extension) {
+      extension.loseContext();
+    }
+  }
+
+  startAnimation() {
+    if (this.animationRequest === null) {
+      this.lastAnimationTime = null;
+      this.animationRequest = requestAnimationFrame(this.animationFrame);
+    }
+  }
+
+  stopAnimation() {
+    if (this.animationRequest !== null) {
+      cancelAnimationFrame(this.animationRequest);
+      this.animationRequest = null;
+      this.releaseContext();
+    }
+  }
+
+  // Register a function called with (time, delta) on every animation frame
+  addFrameCallback(callback) {
+    this.frameCallbacks.push(callback);
+    return {
+      unsubscribe: () => {
+        const index = this.frameCallbacks.indexOf(callback);
+        if (index !== -1) {
+          this.frameCallbacks.splice(index, 1);
+        }
+      },
+    };
+  }
+
+  // Register a function called with the picking info of the hovered element
+  // (undefined when nothing is hovered) regardless of the pickingModes
+  addHoverListener(listener) {
+    this.hoverListeners.push(listener);
+    return {
+      unsubscribe: () => {
+        const index = this.hoverListeners.indexOf(listener);
+        if (index !== -1) {
+          this.hoverListeners.splice(index, 1);
+        }
+      },
+    };
+  }
+
+  getRenderStatistics() {
+    return { ...this.renderStatistics };
+  }
+
+  getCameraState() {
+    const state = this.camera.get(...CAMERA_STATE_PROPERTIES);
+    CAMERA_STATE_PROPERTIES.forEach((name) => {
+      if (state[name].length) {
+        state[name] = Array.from(state[name]);
+      }
+    });
+    return state;
+  }
+
+  shareCamera() {
+    const { cameraGroup } = this.props;
+    if (
+      this.applyingLinkedCamera ||
+      !cameraGroup ||
+      !CAMERA_GROUPS[cameraGroup]
+    ) {
+      return;
+    }
+    const state = this.camera.get(...this.props.cameraSyncProperties);
+    CAMERA_GROUPS[cameraGroup].forEach((view) => {
+      if (view !== this) {
+        view.applyLinkedCamera(state);
+      }
+    });
+  }
+
+  applyLinkedCamera(state) {
+    const values = {};
+    this.props.cameraSyncProperties.forEach((name) => {
+      if (name in state) {
+        values[name] = state[name];
+      }
+    });
+
+    // Guard against sharing back what we are receiving,
+    // including the clipping range update
+    const mtime = this.camera.getMTime();
+    this.applyingLinkedCamera = true;
+    this.camera.set(values);
+    if (this.camera.getMTime() !== mtime) {
+      this.renderer.resetCameraClippingRange();
+      this.renderView();
+    }
+    this.applyingLinkedCamera = false;
+  }
+
+  findRenderer(x, y) {
+    // Last added renderers (Viewport) are drawn on top of the previous ones
+    const renderers = this.renderWindow.getRenderers();
+    for (let i = renderers.length - 1; i >= 0; i--) {
+      const renderer = renderers[i];
+      if (
+        renderer.getInteractive() &&
+        this.openglRenderWindow.isInViewport(x, y, renderer)
+      ) {
+        return renderer;
+      }
+    }
+    return this.renderer;
+  }
+
+  // Lookup the point or cell under the picked position along with
+  // the values of its arrays: { pointId, values } or { cellId, values }
+  getPickedData(prop, worldPosition, displayPosition, renderer) {
+    const mapper = prop.getMapper && prop.getMapper();
+    const dataset = mapper && mapper.getInputData();
+    if (!dataset || !dataset.getPoints || !dataset.getPoints()) {
+      return {};
+    }
+
+    if (this.props.pickingFieldAssociation === 'cells') {
+      if (!dataset.getPolys) {
+        return {};
+      }
+      this.cellPicker.setPickList([prop]);
+      this.cellPicker.pick(
+        [displayPosition[0], displayPosition[1], 0],
+        renderer
+      );
+      if (this.cellPicker.getCellId() === -1) {
+        return {};
+      }
+
+      // The picker only goes through polys and gives their index
+      const cellId = findPickedCell(dataset, this.cellPicker);
+      if (cellId === -1) {
+        return {};
+      }
+      return { cellId, values: getTupleValues(dataset.getCellData(), cellId) };
+    }
+
+    const pointId = getPointLocator(dataset).findClosestPoint(
+      worldToData(prop, worldPosition)
+    );
+    if (pointId === -1) {
+      return {};
+    }
+    return { pointId, values: getTupleValues(dataset.getPointData(), pointId) };
+  }
+
+  // Find the points projected inside a display area and the cells made
+  // of those points for each representation, hidden ones included.
+  // Returns { selection: [{ representationId, pointIds, cellIds }], truncated }
+  selectElements(renderer, isInside) {
+    const { maxSelectedElements } = this.props;
+    const selection = [];
+    const position = [0, 0];
+    let remainingPoints = maxSelectedElements || Infinity;
+    let remainingCells = maxSelectedElements || Infinity;
+    let truncated = false;
+    renderer.getActors().forEach((prop) => {
+      const { representationId } = prop.get('representationId');
+      if (!representationId || !prop.getVisibility() || !prop.getPickable()) {
+        return;
+      }
+      const mapper = prop.getMapper();
+      const dataset = mapper && mapper.getInputData();
+      if (!dataset || !dataset.getPoints || !dataset.getPoints()) {
+        return;
+      }
+
+      const project = createDisplayProjection(
+        prop,
+        renderer,
+        this.openglRenderWindow
+      );
+      const points = dataset.getPoints().getData();
+      const selected = new Uint8Array(points.length / 3);
+      const pointIds = [];
+      for (let i = 0; i < selected.length; i++) {
+        if (project(points, i, position) && isInside(position)) {
+          if (!remainingPoints) {
+            truncated = true;
+            break;
+          }
+          selected[i] = 1;
+          pointIds.push(i);
+          remainingPoints--;
+        }
+      }
+      if (!pointIds.length) {
+        return;
+      }
+
+      // Cells with all their points selected
+      const cellIds = [];
+      if (dataset.getPolys) {
+        let cellId = 0;
+        [
+          dataset.getVerts(),
+          dataset.getLines(),
+          dataset.getPolys(),
+          dataset.getStrips(),
+        ].forEach((cellArray) => {
+          const cells = cellArray.getData();
+          let i = 0;
+          while (i < cells.length) {
+            const nbCellPoints = cells[i++];
+            let inside = true;
+            for (let j = 0; j < nbCellPoints && inside; j++) {
+              inside = selected[cells[i + j]] === 1;
+            }
+            if (inside && nbCellPoints) {
+              if (remainingCells) {
+                cellIds.push(cellId);
+                remainingCells--;
+              } else {
+                truncated = true;
+              }
+            }
+            i += nbCellPoints;
+            cellId++;
+          }
+        });
+      }
+
+      selection.push({ representationId, pointIds, cellIds });
+    });
+    return { selection, truncated };
+  }
+
+  // Ray cast the visible volumes and image slices of the renderer
+  pickImages(ray, renderer) {
+    const results = [];
+    renderer.getViewProps().forEach((prop) => {
+      if (!isImageProp(prop) || !prop.getVisibility() || !prop.getPickable()) {
+        return;
+      }
+      const mapper = prop.getMapper();
+      const image = mapper && mapper.getInputData();
+      const scalars = image && image.getPointData().getScalars();
+      if (!scalars) {
+        return;
+      }
+
+      const extent = image.getExtent();
+      const [from, to] = ray.map((position) =>
+        image.worldToIndex(worldToData(prop, position))
+      );
+      const t = prop.isA('vtkVolume')
+        ? castVolume(prop, scalars, image, from, to)
+        : castSlice(mapper, from, to);
+      if (t === null) {
+        return;
+      }
+
+      const ijk = from.map((v, i) => Math.round(v + t * (to[i] - v)));
+      for (let i = 0; i < 3; i++) {
+        if (ijk[i] < extent[i * 2] || ijk[i] > extent[i * 2 + 1]) {
+          return;
+        }
+      }
+
+      const pointId = computePointId(extent, ijk);
+      const values = getTupleValues(image.getPointData(), pointId);
+      const worldPosition = ray[0].map((v, i) => v + t * (ray[1][i] - v));
+      results.push({
+        worldPosition,
+        displayPosition: Array.from(
+          this.openglRenderWindow.worldToDisplay(...worldPosition, renderer)
+        ),
+        ...prop.get('representationId'),
+        ray,
+        ijk,
+        value: values[scalars.getName()],
+        pointId,
+        values,
+      });
+    });
+    return results;
+  }
+
+  // Read the files with the reader matching their extension and either
+  // give the datasets to onFilesDropped or render them with default settings
+  loadFiles(files) {
+    const loading = files.map((file) =>
+      readFile(file).then(
+        (dataset) => ({ name: file.name, dataset, error: null }),
+        (error) => ({ name: file.name, dataset: null, error })
+      )
+    );
+
+    return Promise.all(loading).then((results) => {
+      if (!this.renderer) {
+        return;
+      }
+
+      if (this.props.onFilesDropped) {
+        this.props.onFilesDropped(results);
+      } else {
+        // The files of a drop replace the ones previously dropped
+        this.clearDroppedFiles();
+        results.forEach(({ name, dataset }) => {
+          if (dataset) {
+            createDatasetProps(dataset, name).forEach((prop) => {
+              this.renderer.addViewProp(prop);
+              this.droppedProps.push(prop);
+            });
+          }
+        });
+        this.resetCamera();
+      }
+
+      if ('setProps' in this.props) {
+        this.props.setProps({
+          droppedFiles: results.map(({ name, error }) => ({
+            name,
+            error: error ? error.message : null,
+          })),
+        });
+      }
+    });
+  }
+
+  // Remove the props rendering the last dropped files
+  // (renderView needs to be called to update the view)
+  clearDroppedFiles() {
+    while (this.droppedProps.length) {
+      const prop = this.droppedProps.pop();
+      if (this.renderer) {
+        this.renderer.removeViewProp(prop);
+      }
+      prop.getMapper().delete();
+      prop.delete();
+    }
+  }
+
+  // Depth in [0, 1] of the closest element rendered at a display position
+  // (1 when nothing is rendered there)
+  getDisplayDepth(x, y) {
+    const renderer = this.findRenderer(x, y);
+    const [px, py] = [Math.round(x), Math.round(y)];
+    this.selector.attach(this.openglRenderWindow, renderer);
+    this.selector.setArea(px, py, px, py);
+    if (!this.selector.captureBuffers()) {
+      return 1;
+    }
+    const selections = this.selector.generateSelection(px, py, px, py) || [];
+    return Math.min(
+      1,
+      ...selections.map((v) => v.getProperties().displayPosition[2])
+    );
   }
 
   pick(x1, y1, x2, y2, useFrustrum = false) {
+    const renderer = this.findRenderer((x1 + x2) / 2, (y1 + y2) / 2);
+    this.selector.attach(this.openglRenderWindow, renderer);
     this.selector.setArea(x1, y1, x2, y2);
     this.previousSelectedData = null;
     if (this.selector.captureBuffers()) {
@@ -533,28 +1504,28 @@ export default class View extends Component {
       if (useFrustrum) {
         const frustrum = [
           Array.from(
-            this.openglRenderWindow.displayToWorld(x1, y1, 0, this.renderer)
+            this.openglRenderWindow.displayToWorld(x1, y1, 0, renderer)
           ),
           Array.from(
-            this.openglRenderWindow.displayToWorld(x2, y1, 0, this.renderer)
+            this.openglRenderWindow.displayToWorld(x2, y1, 0, renderer)
           ),
           Array.from(
-            this.openglRenderWindow.displayToWorld(x2, y2, 0, this.renderer)
+            this.openglRenderWindow.displayToWorld(x2, y2, 0, renderer)
           ),
           Array.from(
-            this.openglRenderWindow.displayToWorld(x1, y2, 0, this.renderer)
+            this.openglRenderWindow.displayToWorld(x1, y2, 0, renderer)
           ),
           Array.from(
-            this.openglRenderWindow.displayToWorld(x1, y1, 1, this.renderer)
+            this.openglRenderWindow.displayToWorld(x1, y1, 1, renderer)
           ),
           Array.from(
-            this.openglRenderWindow.displayToWorld(x2, y1, 1, this.renderer)
+            this.openglRenderWindow.displayToWorld(x2, y1, 1, renderer)
           ),
           Array.from(
-            this.openglRenderWindow.displayToWorld(x2, y2, 1, this.renderer)
+            this.openglRenderWindow.displayToWorld(x2, y2, 1, renderer)
           ),
           Array.from(
-            this.openglRenderWindow.displayToWorld(x1, y2, 1, this.renderer)
+            this.openglRenderWindow.displayToWorld(x1, y2, 1, renderer)
           ),
         ];
         const representationIds = [];
@@ -574,7 +1545,7 @@ export default class View extends Component {
             Math.round((x1 + x2) / 2),
             Math.round((y1 + y2) / 2),
             0,
-            this.renderer
+            renderer
           )
         ),
         Array.from(
@@ -582,33 +1553,46 @@ export default class View extends Component {
             Math.round((x1 + x2) / 2),
             Math.round((y1 + y2) / 2),
             1,
-            this.renderer
+            renderer
           )
         ),
       ];
-      return this.selections
+      const results = this.selections
         .map((v) => {
           const { prop, compositeID, displayPosition } = v.getProperties();
 
           // Return false to mark this item for removal
-          if (prop == null) return false;
-
+          if (prop == null || isImageProp(prop)) return false;
+
+          const worldPosition = Array.from(
+            this.openglRenderWindow.displayToWorld(
+              displayPosition[0],
+              displayPosition[1],
+              displayPosition[2],
+              renderer
+            )
+          );
           return {
-            worldPosition: Array.from(
-              this.openglRenderWindow.displayToWorld(
-                displayPosition[0],
-                displayPosition[1],
-                displayPosition[2],
-                this.renderer
-              )
-            ),
+            worldPosition,
             displayPosition,
             compositeID, // Not yet useful unless GlyphRepresentation
             ...prop.get('representationId'),
             ray,
+            ...this.getPickedData(
+              prop,
+              worldPosition,
+              displayPosition,
+              renderer
+            ),
           };
         })
-        .filter(Boolean);
+        .filter(Boolean)
+        .concat(this.pickImages(ray, renderer));
+
+      // Closest first
+      const distance = ({ worldPosition }) =>
+        vtkMath.distance2BetweenPoints(worldPosition, ray[0]);
+      return results.sort((a, b) => distance(a) - distance(b));
     }
     return [];
   }
@@ -625,6 +1609,8 @@ View.defaultProps = {
   cameraParallelProjection: false,
   triggerRender: 0,
   triggerResetCamera: 0,
+  triggerScreenshot: 0,
+  screenshotOptions: {},
   interactorSettings: [
     {
       button: 1,
@@ -665,6 +1651,14 @@ View.defaultProps = {
   pickingModes: [],
   showCubeAxes: false,
   pointerSize: 0,
+  boxSelectElements: false,
+  maxSelectedElements: 0,
+  pickingFieldAssociation: 'points',
+  cameraSyncProperties: CAMERA_SYNC_PROPERTIES,
+  animate: false,
+  offscreen: false,
+  size: [300, 300],
+  enableDropFiles: false,
 };
 
 View.propTypes = {
@@ -690,7 +1684,8 @@ View.propTypes = {
   background: PropTypes.array,
 
   /**
-   * Configure the interactions
+   * Configure the interactions. Available actions: 'Pan', 'Zoom', 'Roll',
+   * 'Rotate', 'MultiRotate', 'ZoomToMouse', 'Select' (box) and 'Lasso'.
    */
   interactorSettings: PropTypes.array,
 
@@ -714,6 +1709,41 @@ View.propTypes = {
    */
   cameraParallelProjection: PropTypes.bool,
 
+  /**
+   * Controlled camera state. Each provided field is applied verbatim to the
+   * camera without any reset:
+   * { position, focalPoint, viewUp, viewAngle, parallelScale, clippingRange }
+   */
+  camera: PropTypes.shape({
+    position: PropTypes.arrayOf(PropTypes.number),
+    focalPoint: PropTypes.arrayOf(PropTypes.number),
+    viewUp: PropTypes.arrayOf(PropTypes.number),
+    viewAngle: PropTypes.number,
+    parallelScale: PropTypes.number,
+    clippingRange: PropTypes.arrayOf(PropTypes.number),
+  }),
+
+  /**
+   * User callback function receiving the camera state at the end of an
+   * interaction or after a camera reset. The call is throttled.
+   */
+  onCameraChange: PropTypes.func,
+
+  /**
+   * Name of the group of views that should share the same camera.
+   * Views with the same cameraGroup will follow each other camera changes.
+   */
+  cameraGroup: PropTypes.string,
+
+  /**
+   * Camera properties this view shares with and copies from its
+   * cameraGroup peers
+   * (default: ['position', 'focalPoint', 'viewUp', 'parallelScale'])
+   */
+  cameraSyncProperties: PropTypes.arrayOf(
+    PropTypes.oneOf(CAMERA_SYNC_PROPERTIES)
+  ),
+
   /**
    * Property use to trigger a render when changing.
    */
@@ -724,6 +1754,65 @@ View.propTypes = {
    */
   triggerResetCamera: PropTypes.number,
 
+  /**
+   * Property use to trigger a screenshot when changing.
+   */
+  triggerScreenshot: PropTypes.number,
+
+  /**
+   * Options used when capturing a screenshot from triggerScreenshot
+   * { format: 'image/png', scale: 1, transparentBackground: false, blob: false }
+   * blob only applies to onScreenshot, the screenshot prop is always
+   * a data URL.
+   */
+  screenshotOptions: PropTypes.shape({
+    format: PropTypes.string,
+    scale: PropTypes.number,
+    transparentBackground: PropTypes.bool,
+    blob: PropTypes.bool,
+  }),
+
+  /**
+   * User callback function receiving the image captured from
+   * triggerScreenshot (a Blob when screenshotOptions.blob is set,
+   * a data URL otherwise)
+   */
+  onScreenshot: PropTypes.func,
+
+  /**
+   * Read-only prop. This prop is updated with the data URL of the image
+   * captured when triggerScreenshot changes.
+   */
+  screenshot: PropTypes.string,
+
+  /**
+   * Continuously render the view on every animation frame and call the
+   * functions registered with useFrame() before each render.
+   */
+  animate: PropTypes.bool,
+
+  /**
+   * Render into a canvas that is not attached to the document. The View is
+   * then not interactive and uses `size` instead of its container size.
+   * Useful to generate images with captureImage().
+   * The WebGL context is released after each render and capture (unless
+   * animating) so many offscreen Views can exist at once. The View can then
+   * not be picked and children relying on the OpenGL render window
+   * (widgets, Annotation, measures, OrientationMarker) are not supported.
+   * Only read when the View is mounted: change the View key to toggle it.
+   */
+  offscreen: PropTypes.bool,
+
+  /**
+   * Size in pixels [width, height] of the rendering when offscreen
+   */
+  size: PropTypes.arrayOf(PropTypes.number),
+
+  /**
+   * User callback function called with the View after each render
+   */
+  onRendered: PropTypes.func,
+
   /**
    * List of representation to show
    */
@@ -796,14 +1885,36 @@ View.propTypes = {
    * Read-only prop. To use this, make sure that `pickingModes` contains `select`.
    * This prop is updated when an element in the view is select. This contains
    * the picking info describing the object being select along with the frustrum.
+   * A 'Lasso' interaction instead provides the polygon along with the
+   * pointIds and cellIds selected for each representation.
    */
   selectInfo: PropTypes.object,
 
+  /**
+   * Also provide the pointIds and cellIds of each representation inside the
+   * box in the select info: { frustrum, representationIds, selection, truncated }
+   * with selection: [{ representationId, pointIds, cellIds }]
+   */
+  boxSelectElements: PropTypes.bool,
+
+  /**
+   * Maximum number of point ids and of cell ids returned by a box or lasso
+   * selection. The select info is then flagged as truncated. (0: no limit)
+   */
+  maxSelectedElements: PropTypes.number,
+
   /**
    * Defines the tolerance of the click and hover selection.
    */
   pointerSize: PropTypes.number,
 
+  /**
+   * Pick the closest point ('points') or the cell ('cells') under the
+   * pointer. The picking info then contains its pointId or cellId along with
+   * the values of its arrays.
+   */
+  pickingFieldAssociation: PropTypes.oneOf(['points', 'cells']),
+
   /**
    * Show/Hide Cube Axes for the given representation
    */
@@ -814,4 +1925,24 @@ View.propTypes = {
    * https://github.com/Kitware/vtk-js/blob/HEAD/Sources/Rendering/Core/CubeAxesActor/index.js#L703-L719
    */
   cubeAxesStyle: PropTypes.object,
+
+  /**
+   * Load the files dropped on the view with the reader matching their
+   * extension (see READERS_BY_EXTENSION). The datasets are rendered with
+   * default settings, using the file name as representationId, and replace
+   * the previously dropped ones unless onFilesDropped is provided.
+   */
+  enableDropFiles: PropTypes.bool,
+
+  /**
+   * User callback function called with the dropped files
+   * [{ name, dataset, error }, ...] instead of rendering them
+   */
+  onFilesDropped: PropTypes.func,
+
+  /**
+   * Read-only prop. List of the last dropped files [{ name, error }, ...]
+   * with the message of the error which prevented reading them if any.
+   */
+  droppedFiles: PropTypes.arrayOf(PropTypes.object),
 };
@@ -0,0 +1,260 @@
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+
+import { ViewContext } from './View';
+
+import vtkRenderer from '@kitware/vtk.js/Rendering/Core/Renderer.js';
+
+// Give access to the View members which are not redefined by the viewport
+// (renderer, camera, resetCamera...) so children get the whole View API.
+// Methods are called on the View.
+function forwardViewAPI(viewport, view) {
+  const names = new Set([
+    ...Object.keys(view),
+    ...Object.getOwnPropertyNames(Object.getPrototypeOf(view)),
+  ]);
+  names.forEach((name) => {
+    if (name in viewport) {
+      return;
+    }
+    if (typeof view[name] === 'function') {
+      viewport[name] = view[name].bind(view);
+    } else {
+      Object.defineProperty(viewport, name, {
+        get: () => view[name],
+        enumerable: true,
+      });
+    }
+  });
+}
+
+/**
+ * Viewport is adding an extra renderer to the parent View's render window.
+ * Representations nested under a Viewport will be attached to its renderer
+ * instead of the View one. The rest of the View API (pick, captureImage,
+ * interactor, openglRenderWindow...) is forwarded to the View.
+ * It takes the following set of properties:
+ *   - `viewport`: [xmin, ymin, xmax, ymax] in normalized coordinates
+ *   - `background`: [0.2, 0.3, 0.4]
+ *   - `cameraPosition`: [0, 0, 1]
+ *   - `cameraViewUp`: [0, 1, 0]
+ *   - `cameraParallelProjection`: false
+ */
+export default class Viewport extends Component {
+  constructor(props) {
+    super(props);
+
+    // Create vtk.js renderer
+    this.renderer = vtkRenderer.newInstance();
+    this.camera = this.renderer.getActiveCamera();
+
+    // The View style is shared: its center of rotation is only replaced
+    // while interacting with the viewport renderer
+    this.centerOfRotation = [0, 0, 0];
+    this.viewCenterOfRotation = null;
+    this.subscriptions = [];
+
+    // expose helper methods
+    this.renderView = () => {
+      if (this.view) {
+        this.view.renderView();
+      }
+    };
+    this.renderNow = () => {
+      if (this.view) {
+        this.view.renderNow();
+      }
+    };
+    this.resetCamera = this.resetCamera.bind(this);
+  }
+
+  render() {
+    return (
+      <ViewContext.Consumer>
+        {(view) => {
+          if (!this.view) {
+            view.renderWindow.addRenderer(this.renderer);
+            this.view = view;
+            forwardViewAPI(this, view);
+          }
+          return (
+            <ViewContext.Provider value={this}>
+              <div key={this.props.id} id={this.props.id}>
+                {this.props.children}
+              </div>
+            </ViewContext.Provider>
+          );
+        }}
+      </ViewContext.Consumer>
+    );
+  }
+
+  componentDidMount() {
+    const { interactor, style } = this.view;
+    if (interactor && style) {
+      // Run before the interactor style picks the center of rotation
+      const onPress = (callData) => this.onButtonPress(callData);
+      this.subscriptions.push(interactor.onLeftButtonPress(onPress, 1));
+      this.subscriptions.push(interactor.onMiddleButtonPress(onPress, 1));
+      this.subscriptions.push(interactor.onRightButtonPress(onPress, 1));
+      this.subscriptions.push(
+        style.onEndInteractionEvent(() => this.restoreCenterOfRotation())
+      );
+    }
+
+    this.update(this.props);
+    this.resetCamera();
+
+    // Give a chance for the first layout to properly reset the camera
+    this.firstResetTimeout = setTimeout(() => this.resetCamera(), 100);
+  }
+
+  componentDidUpdate(prevProps, prevState, snapshot) {
+    this.update(this.props, prevProps);
+  }
+
+  componentWillUnmount() {
+    clearTimeout(this.firstResetTimeout);
+
+    while (this.subscriptions.length) {
+      this.subscriptions.pop().unsubscribe();
+    }
+    this.restoreCenterOfRotation();
+
+    if (this.view && this.view.renderWindow) {
+      this.view.renderWindow.removeRenderer(this.renderer);
+      this.view.renderView();
+    }
+
+    this.renderer.delete();
+    this.renderer = null;
+  }
+
+  update(props, previous) {
+    const {
+      viewport,
+      background,
+      interactive,
+      cameraPosition,
+      cameraViewUp,
+      cameraParallelProjection,
+    } = props;
+    let changed = false;
+
+    if (viewport && (!previous || viewport !== previous.viewport)) {
+      changed = this.renderer.setViewport(...viewport) || changed;
+    }
+    if (background && (!previous || background !== previous.background)) {
+      changed = this.renderer.setBackground(background) || changed;
+    }
+    changed = this.renderer.setInteractive(interactive) || changed;
+
+    if (
+      cameraParallelProjection &&
+      (!previous ||
+        cameraParallelProjection !== previous.cameraParallelProjection)
+    ) {
+      this.camera.setParallelProjection(cameraParallelProjection);
+      if (previous) {
+        this.resetCamera();
+      }
+    }
+    if (
+      cameraPosition &&
+      (!previous ||
+        JSON.stringify(cameraPosition) !==
+          JSON.stringify(previous.cameraPosition))
+    ) {
+      this.camera.set({
+        position: cameraPosition,
+        viewUp: cameraViewUp,
+        focalPoint: [0, 0, 0],
+      });
+      if (previous) {
+        this.resetCamera();
+      }
+    }
+
+    if (changed) {
+      this.renderView();
+    }
+  }
+
+  resetCamera() {
+    this.renderer.resetCamera();
+    this.centerOfRotation = this.camera.getFocalPoint();
+    this.renderView();
+  }
+
+  onButtonPress({ pokedRenderer }) {
+    // Undo a swap left by a press which did not start an interaction
+    this.restoreCenterOfRotation();
+    if (pokedRenderer === this.renderer) {
+      this.viewCenterOfRotation = this.style.getCenterOfRotation().slice();
+      this.style.setCenterOfRotation(this.centerOfRotation);
+    }
+  }
+
+  restoreCenterOfRotation() {
+    if (this.viewCenterOfRotation) {
+      this.style.setCenterOfRotation(this.viewCenterOfRotation);
+      this.viewCenterOfRotation = null;
+    }
+  }
+}
+
+Viewport.defaultProps = {
+  viewport: [0, 0, 1, 1],
+  background: [0.2, 0.3, 0.4],
+  cameraPosition: [0, 0, 1],
+  cameraViewUp: [0, 1, 0],
+  cameraParallelProjection: false,
+  interactive: true,
+};
+
+Viewport.propTypes = {
+  /**
+   * The ID used to identify this component.
+   */
+  id: PropTypes.string,
+
+  /**
+   * Area covered by the viewport inside the View using normalized
+   * coordinates [xmin, ymin, xmax, ymax] where (0, 0) is the bottom left corner.
+   */
+  viewport: PropTypes.arrayOf(PropTypes.number),
+
+  /**
+   * The color of the viewport background using 3 floating numbers
+   * between 0-1 of Red, Green, Blue component.
+   */
+  background: PropTypes.array,
+
+  /**
+   * Allow the View interactor to manipulate that viewport camera
+   */
+  interactive: PropTypes.bool,
+
+  /**
+   * Initial camera position from an object in [0,0,0]
+   */
+  cameraPosition: PropTypes.array,
+
+  /**
+   * Initial camera position from an object in [0,0,0]
+   */
+  cameraViewUp: PropTypes.array,
+
+  /**
+   * Use parallel projection (default: false)
+   */
+  cameraParallelProjection: PropTypes.bool,
+
+  /**
+   * List of representation to show
+   */
+  children: PropTypes.oneOfType([
+    PropTypes.arrayOf(PropTypes.node),
+    PropTypes.node,
+  ]),
+};
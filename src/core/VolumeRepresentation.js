@@ -1,14 +1,33 @@
 import React, { Component } from 'react';
 import PropTypes from 'prop-types';
 
-import { ViewContext, RepresentationContext, DownstreamContext } from './View';
-import { smartEqualsShallow } from '../utils';
+import { vtkWarningMacro } from '@kitware/vtk.js/macros.js';
+
+import {
+  ViewContext,
+  RepresentationContext,
+  DownstreamContext,
+  WidgetManagerContext,
+} from './View';
+import {
+  smartEqualsShallow,
+  updateClippingPlanes,
+  croppingToClippingPlanes,
+  getImageIndexToWorld,
+} from '../utils';
 
 import vtkVolume from '@kitware/vtk.js/Rendering/Core/Volume.js';
 import vtkVolumeMapper from '@kitware/vtk.js/Rendering/Core/VolumeMapper.js';
 import vtkColorMaps from '@kitware/vtk.js/Rendering/Core/ColorTransferFunction/ColorMaps.js';
 import vtkColorTransferFunction from '@kitware/vtk.js/Rendering/Core/ColorTransferFunction.js';
 import vtkPiecewiseFunction from '@kitware/vtk.js/Common/DataModel/PiecewiseFunction.js';
+import vtkImageCroppingWidget from '@kitware/vtk.js/Widgets/Widgets3D/ImageCroppingWidget.js';
+
+// Cropping handle size relative to the volume diagonal
+const HANDLE_SCALE = 0.03;
+
+// Size of the clipping plane uniform arrays of the vtk.js volume shader
+const MAX_CLIPPING_PLANES = 6;
 
 /**
  * VolumeRepresentation is responsible to convert a vtkPolyData into rendering
@@ -28,13 +47,29 @@ export default class VolumeRepresentation extends Component {
     // Create vtk.js objects
     this.lookupTable = vtkColorTransferFunction.newInstance();
     this.piecewiseFunction = vtkPiecewiseFunction.newInstance();
-    this.volume = vtkVolume.newInstance({ visibility: false });
+    this.volume = vtkVolume.newInstance({
+      visibility: false,
+      representationId: props.id,
+    });
     this.mapper = vtkVolumeMapper.newInstance();
     this.volume.setMapper(this.mapper);
 
     this.volume.getProperty().setRGBTransferFunction(0, this.lookupTable);
     this.volume.getProperty().setScalarOpacity(0, this.piecewiseFunction);
     this.volume.getProperty().setInterpolationTypeToLinear();
+
+    // Image sample distance to restore after interaction
+    this.fullImageSampleDistance = null;
+    this.subscriptions = [];
+
+    // Cropping [imin, imax, jmin, jmax, kmin, kmax] and its widget
+    this.croppingPlanes = props.croppingPlanes;
+    this.croppingWidget = null;
+    this.croppingManager = null;
+    this.croppingSubscription = null;
+    this.applyingCropping = false;
+    this.croppingImage = null;
+    this.clippingOverflow = false;
   }
 
   render() {
@@ -44,15 +79,33 @@ export default class VolumeRepresentation extends Component {
           if (!this.view) {
             view.renderer.addVolume(this.volume);
             this.view = view;
+
+            if (view.style) {
+              this.subscriptions.push(
+                view.style.onStartInteractionEvent(() =>
+                  this.startInteraction()
+                )
+              );
+              this.subscriptions.push(
+                view.style.onEndInteractionEvent(() => this.endInteraction())
+              );
+            }
           }
           return (
-            <RepresentationContext.Provider value={this}>
-              <DownstreamContext.Provider value={this.mapper}>
-                <div key={this.props.id} id={this.props.id}>
-                  {this.props.children}
-                </div>
-              </DownstreamContext.Provider>
-            </RepresentationContext.Provider>
+            <WidgetManagerContext.Consumer>
+              {(widgetManager) => {
+                this.widgetManager = widgetManager;
+                return (
+                  <RepresentationContext.Provider value={this}>
+                    <DownstreamContext.Provider value={this.mapper}>
+                      <div key={this.props.id} id={this.props.id}>
+                        {this.props.children}
+                      </div>
+                    </DownstreamContext.Provider>
+                  </RepresentationContext.Provider>
+                );
+              }}
+            </WidgetManagerContext.Consumer>
           );
         }}
       </ViewContext.Consumer>
@@ -68,6 +121,12 @@ export default class VolumeRepresentation extends Component {
   }
 
   componentWillUnmount() {
+    while (this.subscriptions.length) {
+      this.subscriptions.pop().unsubscribe();
+    }
+
+    this.removeCroppingWidget();
+
     if (this.view && this.view.renderer) {
       this.view.renderer.removeVolume(this.volume);
       this.view = null;
@@ -81,11 +140,25 @@ export default class VolumeRepresentation extends Component {
   }
 
   update(props, previous) {
-    const { volume, property, mapper, colorMapPreset, colorDataRange } = props;
+    const {
+      volume,
+      property,
+      mapper,
+      colorMapPreset,
+      colorDataRange,
+      clippingPlanes,
+      croppingPlanes,
+      croppingWidget,
+    } = props;
     let changed = false;
 
     if (volume && (!previous || volume !== previous.volume)) {
-      changed = this.volume.set(volume) || changed;
+      if (this.volume.set(volume)) {
+        changed = true;
+        // Cropping follows the volume position, scale and orientation
+        this.updateCroppingWidget();
+        this.updateMapperPlanes();
+      }
     }
     if (property && (!previous || property !== previous.property)) {
       changed = this.volume.getProperty().set(property) || changed;
@@ -93,6 +166,29 @@ export default class VolumeRepresentation extends Component {
     if (mapper && (!previous || mapper !== previous.mapper)) {
       changed = this.mapper.set(mapper) || changed;
     }
+    // Ignore the cropping we just shared through onCroppingChange/setProps
+    if (
+      previous &&
+      croppingPlanes !== previous.croppingPlanes &&
+      JSON.stringify(croppingPlanes) !== JSON.stringify(this.croppingPlanes)
+    ) {
+      this.croppingPlanes = croppingPlanes;
+      this.updateCroppingWidget();
+    }
+    if (!previous || croppingWidget !== previous.croppingWidget) {
+      if (croppingWidget) {
+        this.addCroppingWidget();
+      } else {
+        this.removeCroppingWidget();
+      }
+    }
+    if (
+      !previous ||
+      clippingPlanes !== previous.clippingPlanes ||
+      croppingPlanes !== previous.croppingPlanes
+    ) {
+      changed = this.updateMapperPlanes() || changed;
+    }
     if (
       colorMapPreset &&
       (!previous || colorMapPreset !== previous.colorMapPreset)
@@ -151,13 +247,35 @@ export default class VolumeRepresentation extends Component {
     if (!this.validData) {
       this.validData = true;
       this.volume.setVisibility(this.currentVisibility);
+      if (this.props.croppingWidget) {
+        this.addCroppingWidget();
+      }
 
       // trigger render
       this.dataChanged();
     }
   }
 
+  dataUnavailable() {
+    if (this.validData) {
+      this.validData = false;
+      this.volume.setVisibility(false);
+      this.removeCroppingWidget();
+
+      // trigger render
+      if (this.view) {
+        this.view.renderView();
+      }
+    }
+  }
+
   dataChanged() {
+    // Cropping planes are attached to the image geometry
+    if (this.mapper.getInputData() !== this.croppingImage) {
+      this.updateCroppingWidget();
+      this.updateMapperPlanes();
+    }
+
     if (this.props.colorDataRange === 'auto') {
       this.mapper.update();
       const input = this.mapper.getInputData();
@@ -177,11 +295,173 @@ export default class VolumeRepresentation extends Component {
       }
     }
   }
+
+  updateMapperPlanes() {
+    const { clippingPlanes } = this.props;
+    const image = this.mapper.getInputData();
+    this.croppingImage = image;
+    let planes = clippingPlanes;
+    if (image && this.croppingPlanes) {
+      // Bounds at the image extent do not crop anything
+      const extent = image.getExtent();
+      const croppingPlanes = croppingToClippingPlanes(
+        image,
+        this.volume,
+        this.croppingPlanes
+      ).filter((plane, i) => this.croppingPlanes[i] !== extent[i]);
+      planes = [...clippingPlanes, ...croppingPlanes];
+    }
+
+    const overflow = planes.length > MAX_CLIPPING_PLANES;
+    if (overflow && !this.clippingOverflow) {
+      vtkWarningMacro(
+        `VolumeRepresentation ${this.props.id || ''}: only the first ` +
+          `${MAX_CLIPPING_PLANES} of the ${planes.length} clipping and ` +
+          'cropping planes are used'
+      );
+    }
+    this.clippingOverflow = overflow;
+    return updateClippingPlanes(
+      this.mapper,
+      planes.slice(0, MAX_CLIPPING_PLANES)
+    );
+  }
+
+  addCroppingWidget() {
+    const image = this.mapper.getInputData();
+    const manager = this.widgetManager;
+    if (this.croppingWidget || !this.validData || !image || !manager) {
+      return;
+    }
+
+    this.croppingWidget = vtkImageCroppingWidget.newInstance();
+    this.updateCroppingWidget();
+    if (!manager.addWidget(this.croppingWidget)) {
+      this.croppingWidget.delete();
+      this.croppingWidget = null;
+      return;
+    }
+    this.croppingManager = manager;
+    this.croppingSubscription = this.croppingWidget
+      .getWidgetState()
+      .getCroppingPlanes()
+      .onModified(() => this.croppingChanged());
+  }
+
+  removeCroppingWidget() {
+    if (!this.croppingWidget) {
+      return;
+    }
+
+    this.croppingSubscription.unsubscribe();
+    this.croppingSubscription = null;
+    this.croppingManager.removeWidget(this.croppingWidget);
+    this.croppingManager = null;
+    this.croppingWidget.delete();
+    this.croppingWidget = null;
+  }
+
+  // Move the widget to the image and the current cropping planes
+  updateCroppingWidget() {
+    const image = this.mapper.getInputData();
+    if (!this.croppingWidget || !image) {
+      return;
+    }
+
+    this.applyingCropping = true;
+    const state = this.croppingWidget.getWidgetState();
+    const { indexToWorld, worldToIndex } = getImageIndexToWorld(
+      image,
+      this.volume
+    );
+    if (
+      !this.croppingPlanes ||
+      state.getIndexToWorldT().join() !== indexToWorld.join()
+    ) {
+      // Also reset the planes to the full extent
+      this.croppingWidget.copyImageDataDescription(image);
+      state.setIndexToWorldT(...indexToWorld);
+      state.setWorldToIndexT(...worldToIndex);
+      this.croppingWidget.updateHandles();
+    }
+    const bounds = this.volume.getBounds();
+    const diagonal = Math.sqrt(
+      (bounds[1] - bounds[0]) ** 2 +
+        (bounds[3] - bounds[2]) ** 2 +
+        (bounds[5] - bounds[4]) ** 2
+    );
+    state
+      .getStatesWithLabel('handles')
+      .forEach((handle) => handle.setScale1(diagonal * HANDLE_SCALE));
+    if (this.croppingPlanes) {
+      state.getCroppingPlanes().setPlanes(...this.croppingPlanes);
+    }
+    this.applyingCropping = false;
+  }
+
+  croppingChanged() {
+    if (this.applyingCropping) {
+      return;
+    }
+
+    const croppingPlanes = this.croppingWidget
+      .getWidgetState()
+      .getCroppingPlanes()
+      .getPlanes();
+    this.croppingPlanes = croppingPlanes;
+    this.updateMapperPlanes();
+
+    // Share the cropping with the rest of the world
+    if (this.props.onCroppingChange) {
+      this.props.onCroppingChange(croppingPlanes);
+    }
+
+    if ('setProps' in this.props) {
+      this.props.setProps({ croppingPlanes });
+    }
+  }
+
+  startInteraction() {
+    const { interactiveLOD, interactiveImageSampleDistance } = this.props;
+    // The mapper already reduces the sampling while interacting when
+    // autoAdjustSampleDistances is on. Nested interactions (e.g. wheel
+    // while dragging) keep the distance saved by the first one.
+    if (
+      !interactiveLOD ||
+      !this.validData ||
+      this.mapper.getAutoAdjustSampleDistances() ||
+      this.fullImageSampleDistance !== null
+    ) {
+      return;
+    }
+
+    // Render at a lower resolution rather than changing the sample
+    // distance which is part of the ray cast shader
+    this.fullImageSampleDistance = this.mapper.getImageSampleDistance();
+    this.mapper.setImageSampleDistance(
+      Math.max(this.fullImageSampleDistance, interactiveImageSampleDistance)
+    );
+  }
+
+  endInteraction() {
+    if (this.fullImageSampleDistance !== null) {
+      this.mapper.setImageSampleDistance(this.fullImageSampleDistance);
+      this.fullImageSampleDistance = null;
+      if (this.view) {
+        this.view.renderView();
+      }
+    }
+  }
 }
 
 VolumeRepresentation.defaultProps = {
   colorMapPreset: 'erdc_rainbow_bright',
   colorDataRange: 'auto',
+  interactiveLOD: false,
+  interactiveImageSampleDistance: 2,
+  clippingPlanes: [],
+  croppingPlanes: null,
+  croppingWidget: false,
 };
 
 VolumeRepresentation.propTypes = {
@@ -218,6 +498,52 @@ VolumeRepresentation.propTypes = {
     PropTypes.string,
   ]),
 
+  /**
+   * Render the volume at a lower resolution while interacting with the view.
+   * Only used when the mapper autoAdjustSampleDistances is false since
+   * vtk.js is otherwise already adjusting it.
+   */
+  interactiveLOD: PropTypes.bool,
+
+  /**
+   * Image sample distance (size of a ray in pixels) while interacting.
+   * Values up to 1.43 render at full resolution.
+   */
+  interactiveImageSampleDistance: PropTypes.number,
+
+  /**
+   * Planes clipping the rendering [{ origin, normal }, ...].
+   * The side the normal is pointing to is kept.
+   * The volume can use up to 6 planes, shared with croppingPlanes:
+   * the extra cropping planes are ignored with a warning.
+   */
+  clippingPlanes: PropTypes.arrayOf(
+    PropTypes.shape({
+      origin: PropTypes.arrayOf(PropTypes.number),
+      normal: PropTypes.arrayOf(PropTypes.number),
+    })
+  ),
+
+  /**
+   * Crop the volume to [imin, imax, jmin, jmax, kmin, kmax]
+   * in index coordinates of the image.
+   * Each bound inside the image extent uses a clipping plane added after
+   * clippingPlanes, within the same budget of 6 planes.
+   */
+  croppingPlanes: PropTypes.arrayOf(PropTypes.number),
+
+  /**
+   * Show handles to interactively crop the volume.
+   * The representation needs to be nested inside a WidgetManager.
+   */
+  croppingWidget: PropTypes.bool,
+
+  /**
+   * User callback function called with the new croppingPlanes
+   * while the cropping handles are dragged
+   */
+  onCroppingChange: PropTypes.func,
+
   children: PropTypes.oneOfType([
     PropTypes.arrayOf(PropTypes.node),
     PropTypes.node,
@@ -0,0 +1,173 @@
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+
+import { WidgetManagerContext } from './View';
+
+/**
+ * Widget is the base class of the widget components. It registers a vtk.js
+ * widget into the parent WidgetManager and keeps its state in sync with the
+ * component properties.
+ * Subclasses are defining:
+ *   - createWidget(): vtk.js widget factory
+ *   - stateProperties: names of the properties describing the widget state
+ *   - getWidgetValue(): { [name]: value } read from the widget state
+ *     or null when the widget is not placed yet
+ *   - setWidgetValue(value): apply the state properties to the widget
+ *   - initViewWidget(viewWidget): optional setup of the widget for the view
+ */
+export default class Widget extends Component {
+  constructor(props) {
+    super(props);
+
+    this.widget = this.createWidget(props);
+    this.viewWidget = null;
+    this.subscriptions = [];
+    this.lastValue = null;
+    this.applyingValue = false;
+  }
+
+  get stateProperties() {
+    return [];
+  }
+
+  render() {
+    return (
+      <WidgetManagerContext.Consumer>
+        {(manager) => {
+          this.manager = manager;
+          return null;
+        }}
+      </WidgetManagerContext.Consumer>
+    );
+  }
+
+  componentDidMount() {
+    if (!this.manager) {
+      return;
+    }
+
+    this.viewWidget = this.manager.addWidget(this.widget);
+    if (!this.viewWidget) {
+      return;
+    }
+
+    this.initViewWidget(this.viewWidget);
+    this.subscriptions.push(
+      this.widget.getWidgetState().onModified(() => this.stateChanged())
+    );
+    this.update(this.props);
+  }
+
+  componentDidUpdate(prevProps, prevState, snapshot) {
+    if (this.viewWidget) {
+      this.update(this.props, prevProps);
+    }
+  }
+
+  componentWillUnmount() {
+    while (this.subscriptions.length) {
+      this.subscriptions.pop().unsubscribe();
+    }
+
+    if (this.viewWidget) {
+      this.manager.removeWidget(this.widget);
+      this.viewWidget = null;
+    }
+
+    this.widget.delete();
+    this.widget = null;
+  }
+
+  update(props, previous) {
+    const { visible, editable } = props;
+
+    // Only apply values which differ from the current widget state
+    // so the values shared through onChange can be given back as props
+    const value = {};
+    this.stateProperties.forEach((name) => {
+      if (
+        props[name] !== undefined &&
+        (!previous || props[name] !== previous[name])
+      ) {
+        value[name] = props[name];
+      }
+    });
+    const current = this.getWidgetValue() || {};
+    const changed = Object.keys(value).some(
+      (name) => JSON.stringify(value[name]) !== JSON.stringify(current[name])
+    );
+    if (!previous || changed) {
+      this.applyingValue = true;
+      this.setWidgetValue({ ...current, ...value }, props);
+      this.applyingValue = false;
+      this.lastValue = JSON.stringify(this.getWidgetValue());
+    }
+
+    this.widget.setVisibility(visible);
+    this.widget.setPickable(editable);
+    this.manager.renderView();
+  }
+
+  createWidget(props) {
+    return null;
+  }
+
+  initViewWidget(viewWidget) {}
+
+  getWidgetValue() {
+    return null;
+  }
+
+  setWidgetValue(value, props) {}
+
+  stateChanged() {
+    if (this.applyingValue) {
+      return;
+    }
+
+    // The widget state is also modified by the handles (de)activation
+    const value = this.getWidgetValue();
+    const key = JSON.stringify(value);
+    if (!value || key === this.lastValue) {
+      return;
+    }
+    this.lastValue = key;
+
+    // Share the widget state with the rest of the world
+    if (this.props.onChange) {
+      this.props.onChange(value);
+    }
+
+    if ('setProps' in this.props) {
+      this.props.setProps(value);
+    }
+  }
+}
+
+Widget.defaultProps = {
+  visible: true,
+  editable: true,
+};
+
+Widget.propTypes = {
+  /**
+   * The ID used to identify this component.
+   */
+  id: PropTypes.string,
+
+  /**
+   * Show/Hide the widget
+   */
+  visible: PropTypes.bool,
+
+  /**
+   * Allow the widget to be manipulated with the mouse
+   */
+  editable: PropTypes.bool,
+
+  /**
+   * User callback function called with the new widget state
+   * while the widget is manipulated
+   */
+  onChange: PropTypes.func,
+};
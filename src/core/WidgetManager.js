@@ -0,0 +1,147 @@
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+
+import { ViewContext, WidgetManagerContext } from './View';
+
+import vtkWidgetManager from '@kitware/vtk.js/Widgets/Core/WidgetManager.js';
+
+/**
+ * WidgetManager is attaching a vtkWidgetManager to the renderer of the
+ * parent View (or Viewport) so the nested widgets can be manipulated
+ * with the mouse. The View needs to be interactive.
+ * It takes the following set of properties:
+ *   - pickingEnabled: true
+ *   - useSvgLayer: true
+ */
+export default class WidgetManager extends Component {
+  constructor(props) {
+    super(props);
+
+    // Create vtk.js widget manager
+    this.widgetManager = vtkWidgetManager.newInstance();
+    this.widgetManager.setUseSvgLayer(props.useSvgLayer);
+    this.attached = false;
+  }
+
+  render() {
+    return (
+      <ViewContext.Consumer>
+        {(view) => {
+          if (!this.view) {
+            this.view = view;
+            if (view.interactor) {
+              this.widgetManager.setRenderer(view.renderer);
+              this.attached = true;
+            }
+          }
+          return (
+            <WidgetManagerContext.Provider value={this}>
+              <div key={this.props.id} id={this.props.id}>
+                {this.props.children}
+              </div>
+            </WidgetManagerContext.Provider>
+          );
+        }}
+      </ViewContext.Consumer>
+    );
+  }
+
+  componentDidMount() {
+    this.update(this.props);
+  }
+
+  componentDidUpdate(prevProps, prevState, snapshot) {
+    this.update(this.props, prevProps);
+  }
+
+  componentWillUnmount() {
+    if (this.attached) {
+      this.widgetManager.removeWidgets();
+      this.widgetManager.setUseSvgLayer(false);
+    }
+    this.widgetManager.delete();
+    this.widgetManager = null;
+
+    if (this.view) {
+      this.view.renderView();
+    }
+  }
+
+  update(props, previous) {
+    const { pickingEnabled, useSvgLayer } = props;
+    if (!this.attached) {
+      return;
+    }
+
+    if (!previous || pickingEnabled !== previous.pickingEnabled) {
+      if (pickingEnabled) {
+        this.widgetManager.enablePicking();
+      } else {
+        this.widgetManager.disablePicking();
+      }
+    }
+    if (previous && useSvgLayer !== previous.useSvgLayer) {
+      this.widgetManager.setUseSvgLayer(useSvgLayer);
+    }
+  }
+
+  // Register a widget factory and return its widget for the view
+  // (null when the View is not interactive)
+  addWidget(widget) {
+    if (!this.attached) {
+      return null;
+    }
+    const viewWidget = this.widgetManager.addWidget(widget);
+    this.renderView();
+    return viewWidget;
+  }
+
+  removeWidget(widget) {
+    if (this.attached && this.widgetManager) {
+      this.widgetManager.removeWidget(widget);
+      this.renderView();
+    }
+  }
+
+  // Give the widget all the mouse events until it is placed
+  grabFocus(viewWidget) {
+    if (this.attached) {
+      this.widgetManager.grabFocus(viewWidget);
+    }
+  }
+
+  renderView() {
+    this.view.renderView();
+  }
+}
+
+WidgetManager.defaultProps = {
+  pickingEnabled: true,
+  useSvgLayer: true,
+};
+
+WidgetManager.propTypes = {
+  /**
+   * The ID used to identify this component.
+   */
+  id: PropTypes.string,
+
+  /**
+   * Allow the widgets to be picked and manipulated with the mouse
+   */
+  pickingEnabled: PropTypes.bool,
+
+  /**
+   * Create an SVG overlay for the widgets using SVG representations
+   * (e.g. the LineWidget text)
+   */
+  useSvgLayer: PropTypes.bool,
+
+  /**
+   * List of widgets
+   */
+  children: PropTypes.oneOfType([
+    PropTypes.arrayOf(PropTypes.node),
+    PropTypes.node,
+  ]),
+};
@@ -6,6 +6,7 @@ import vtkPolyData from './PolyData';
 import vtkReader from './Reader';
 import vtkShareDataSet from './ShareDataSet';
 import vtkView from './View';
+import vtkViewport from './Viewport';
 import vtkGeometryRepresentation from './GeometryRepresentation';
 import vtkGlyphRepresentation from './GlyphRepresentation';
 import vtkImageData from './ImageData';
@@ -14,6 +15,19 @@ import vtkFieldData from './FieldData';
 import vtkAlgorithm from './Algorithm';
 import vtkCalculator from './Calculator';
 import vtkCellData from './CellData';
+import vtkOrientationMarker from './OrientationMarker';
+import vtkUseFrame from './useFrame';
+import vtkTimeSeries from './TimeSeries';
+import vtkAnnotation from './Annotation';
+import vtkDistanceMeasure from './DistanceMeasure';
+import vtkAngleMeasure from './AngleMeasure';
+import vtkAreaMeasure from './AreaMeasure';
+import vtkWidgetManager from './WidgetManager';
+import vtkImplicitPlaneWidget from './ImplicitPlaneWidget';
+import vtkLineWidget from './LineWidget';
+import vtkBoxWidget from './BoxWidget';
+import vtkSphereWidget from './SphereWidget';
+import vtkGLTFScene from './GLTFScene';
 
 export const VolumeRepresentation = vtkVolumeRepresentation;
 export const SliceRepresentation = vtkSliceRepresentation;
@@ -23,6 +37,7 @@ export const PolyData = vtkPolyData;
 export const Reader = vtkReader;
 export const ShareDataSet = vtkShareDataSet;
 export const View = vtkView;
+export const Viewport = vtkViewport;
 export const GeometryRepresentation = vtkGeometryRepresentation;
 export const GlyphRepresentation = vtkGlyphRepresentation;
 export const ImageData = vtkImageData;
@@ -31,6 +46,19 @@ export const FieldData = vtkFieldData;
 export const Algorithm = vtkAlgorithm;
 export const Calculator = vtkCalculator;
 export const CellData = vtkCellData;
+export const OrientationMarker = vtkOrientationMarker;
+export const useFrame = vtkUseFrame;
+export const TimeSeries = vtkTimeSeries;
+export const Annotation = vtkAnnotation;
+export const DistanceMeasure = vtkDistanceMeasure;
+export const AngleMeasure = vtkAngleMeasure;
+export const AreaMeasure = vtkAreaMeasure;
+export const WidgetManager = vtkWidgetManager;
+export const ImplicitPlaneWidget = vtkImplicitPlaneWidget;
+export const LineWidget = vtkLineWidget;
+export const BoxWidget = vtkBoxWidget;
+export const SphereWidget = vtkSphereWidget;
+export const GLTFScene = vtkGLTFScene;
 
 export default {
   VolumeRepresentation: vtkVolumeRepresentation,
@@ -41,6 +69,7 @@ export default {
   Reader: vtkReader,
   ShareDataSet: vtkShareDataSet,
   View: vtkView,
+  Viewport: vtkViewport,
   GeometryRepresentation: vtkGeometryRepresentation,
   GlyphRepresentation: vtkGlyphRepresentation,
   ImageData: vtkImageData,
@@ -49,4 +78,17 @@ export default {
   Algorithm: vtkAlgorithm,
   Calculator: vtkCalculator,
   CellData: vtkCellData,
+  OrientationMarker: vtkOrientationMarker,
+  useFrame: vtkUseFrame,
+  TimeSeries: vtkTimeSeries,
+  Annotation: vtkAnnotation,
+  DistanceMeasure: vtkDistanceMeasure,
+  AngleMeasure: vtkAngleMeasure,
+  AreaMeasure: vtkAreaMeasure,
+  WidgetManager: vtkWidgetManager,
+  ImplicitPlaneWidget: vtkImplicitPlaneWidget,
+  LineWidget: vtkLineWidget,
+  BoxWidget: vtkBoxWidget,
+  SphereWidget: vtkSphereWidget,
+  GLTFScene: vtkGLTFScene,
 };
@@ -0,0 +1,23 @@
+import { useContext, useEffect, useRef } from 'react';
+
+import { ViewContext } from './View';
+
+/**
+ * useFrame is registering a callback on the parent View which will be called
+ * with (time, delta) in milliseconds on every animation frame, right before
+ * the render. This requires the View `animate` property to be enabled.
+ * It allows to update vtk.js objects (actor position...) at each frame
+ * without going through React state.
+ */
+export default function useFrame(callback) {
+  const view = useContext(ViewContext);
+  const callbackRef = useRef(callback);
+  callbackRef.current = callback;
+
+  useEffect(() => {
+    const subscription = view.addFrameCallback((time, delta) =>
+      callbackRef.current(time, delta)
+    );
+    return subscription.unsubscribe;
+  }, [view]);
+}
@@ -11,8 +11,12 @@ import {
   DataSetContext,
   FieldsContext,
   DownstreamContext,
+  WidgetManagerContext,
 } from './core/View';
 
+// Reader classes by file extension
+export { READERS_BY_EXTENSION } from './AvailableClasses';
+
 // Core
 export const VolumeRepresentation = Core.VolumeRepresentation;
 export const SliceRepresentation = Core.SliceRepresentation;
@@ -22,6 +26,7 @@ export const PolyData = Core.PolyData;
 export const Reader = Core.Reader;
 export const ShareDataSet = Core.ShareDataSet;
 export const View = Core.View;
+export const Viewport = Core.Viewport;
 export const GeometryRepresentation = Core.GeometryRepresentation;
 export const GlyphRepresentation = Core.GlyphRepresentation;
 export const ImageData = Core.ImageData;
@@ -30,6 +35,19 @@ export const FieldData = Core.FieldData;
 export const Algorithm = Core.Algorithm;
 export const Calculator = Core.Calculator;
 export const CellData = Core.CellData;
+export const OrientationMarker = Core.OrientationMarker;
+export const useFrame = Core.useFrame;
+export const TimeSeries = Core.TimeSeries;
+export const Annotation = Core.Annotation;
+export const DistanceMeasure = Core.DistanceMeasure;
+export const AngleMeasure = Core.AngleMeasure;
+export const AreaMeasure = Core.AreaMeasure;
+export const WidgetManager = Core.WidgetManager;
+export const ImplicitPlaneWidget = Core.ImplicitPlaneWidget;
+export const LineWidget = Core.LineWidget;
+export const BoxWidget = Core.BoxWidget;
+export const SphereWidget = Core.SphereWidget;
+export const GLTFScene = Core.GLTFScene;
 
 // Representations
 export const PointCloudRepresentation =
@@ -44,6 +62,7 @@ export const Contexts = {
   DataSetContext,
   FieldsContext,
   DownstreamContext,
+  WidgetManagerContext,
 };
 
 export default {
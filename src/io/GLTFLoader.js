@@ -0,0 +1,485 @@
+import vtkDataArray from '@kitware/vtk.js/Common/Core/DataArray.js';
+import vtkPolyData from '@kitware/vtk.js/Common/DataModel/PolyData.js';
+import vtkTexture from '@kitware/vtk.js/Rendering/Core/Texture.js';
+
+const GLB_MAGIC = 0x46546c67; // 'glTF'
+const GLB_CHUNK_JSON = 0x4e4f534a;
+const GLB_CHUNK_BIN = 0x004e4942;
+
+// componentType: [TypedArray, DataView getter, normalization factor]
+const COMPONENT_TYPES = {
+  5120: [Int8Array, 'getInt8', 127],
+  5121: [Uint8Array, 'getUint8', 255],
+  5122: [Int16Array, 'getInt16', 32767],
+  5123: [Uint16Array, 'getUint16', 65535],
+  5125: [Uint32Array, 'getUint32', 4294967295],
+  5126: [Float32Array, 'getFloat32', 1],
+};
+
+const TYPE_SIZES = {
+  SCALAR: 1,
+  VEC2: 2,
+  VEC3: 3,
+  VEC4: 4,
+  MAT2: 4,
+  MAT3: 9,
+  MAT4: 16,
+};
+
+// Required extensions which can be handled (none yet)
+const SUPPORTED_EXTENSIONS = [];
+
+const IDENTITY = [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1];
+
+// Column major 4x4 matrices as in glTF
+function multiplyMatrices(a, b) {
+  const out = new Array(16);
+  for (let col = 0; col < 4; col++) {
+    for (let row = 0; row < 4; row++) {
+      let sum = 0;
+      for (let k = 0; k < 4; k++) {
+        sum += a[k * 4 + row] * b[col * 4 + k];
+      }
+      out[col * 4 + row] = sum;
+    }
+  }
+  return out;
+}
+
+function composeMatrix([tx, ty, tz], [x, y, z, w], [sx, sy, sz]) {
+  const [xx, yy, zz] = [x * x * 2, y * y * 2, z * z * 2];
+  const [xy, xz, yz] = [x * y * 2, x * z * 2, y * z * 2];
+  const [wx, wy, wz] = [w * x * 2, w * y * 2, w * z * 2];
+  return [
+    (1 - yy - zz) * sx,
+    (xy + wz) * sx,
+    (xz - wy) * sx,
+    0,
+    (xy - wz) * sy,
+    (1 - xx - zz) * sy,
+    (yz + wx) * sy,
+    0,
+    (xz + wy) * sz,
+    (yz - wx) * sz,
+    (1 - xx - yy) * sz,
+    0,
+    tx,
+    ty,
+    tz,
+    1,
+  ];
+}
+
+function resolveUri(uri, baseURL) {
+  if (/^(data:|blob:|[a-z]+:\/\/|\/)/i.test(uri) || !baseURL) {
+    return uri;
+  }
+  return `${baseURL}/${uri}`;
+}
+
+function fetchArrayBuffer(url) {
+  return fetch(url).then((response) => {
+    if (!response.ok) {
+      throw new Error(`Could not fetch ${url} (HTTP ${response.status})`);
+    }
+    return response.arrayBuffer();
+  });
+}
+
+// Copy count elements of nbComp components from a buffer view
+function readElements(gltf, view, byteOffset, componentType, nbComp, count) {
+  const [TypedArray, getter] = COMPONENT_TYPES[componentType];
+  const values = new TypedArray(count * nbComp);
+  const buffer = gltf.buffers[view.buffer];
+  const start = (view.byteOffset || 0) + byteOffset;
+  const elementSize = TypedArray.BYTES_PER_ELEMENT * nbComp;
+  const stride = view.byteStride || elementSize;
+
+  if (stride === elementSize) {
+    values.set(new TypedArray(buffer.slice(start, start + count * stride)));
+    return values;
+  }
+
+  const dataView = new DataView(buffer);
+  for (let i = 0; i < count; i++) {
+    for (let c = 0; c < nbComp; c++) {
+      values[i * nbComp + c] = dataView[getter](
+        start + i * stride + c * TypedArray.BYTES_PER_ELEMENT,
+        true
+      );
+    }
+  }
+  return values;
+}
+
+function readAccessor(gltf, index) {
+  const { json } = gltf;
+  const accessor = json.accessors[index];
+  const nbComp = TYPE_SIZES[accessor.type];
+  const { componentType, count } = accessor;
+  const [TypedArray, , normalization] = COMPONENT_TYPES[componentType];
+
+  let values = new TypedArray(count * nbComp);
+  if (accessor.bufferView !== undefined) {
+    values = readElements(
+      gltf,
+      json.bufferViews[accessor.bufferView],
+      accessor.byteOffset || 0,
+      componentType,
+      nbComp,
+      count
+    );
+  }
+
+  // Sparse values replacing some of the elements
+  if (accessor.sparse) {
+    const { indices, count: nbSparse } = accessor.sparse;
+    const sparseIds = readElements(
+      gltf,
+      json.bufferViews[indices.bufferView],
+      indices.byteOffset || 0,
+      indices.componentType,
+      1,
+      nbSparse
+    );
+    const sparseValues = readElements(
+      gltf,
+      json.bufferViews[accessor.sparse.values.bufferView],
+      accessor.sparse.values.byteOffset || 0,
+      componentType,
+      nbComp,
+      nbSparse
+    );
+    sparseIds.forEach((id, i) => {
+      for (let c = 0; c < nbComp; c++) {
+        values[id * nbComp + c] = sparseValues[i * nbComp + c];
+      }
+    });
+  }
+
+  return {
+    values,
+    numberOfComponents: nbComp,
+    normalization: accessor.normalized ? normalization : 1,
+  };
+}
+
+// Cell array [n, id1, ..., idn, ...] for the primitive mode
+function createCells(ids, mode) {
+  const nbIds = ids.length;
+  let cells = null;
+  if (mode === 0) {
+    cells = new Uint32Array(nbIds * 2);
+    for (let i = 0; i < nbIds; i++) {
+      cells[i * 2] = 1;
+      cells[i * 2 + 1] = ids[i];
+    }
+  } else if (mode === 1) {
+    cells = new Uint32Array(Math.floor(nbIds / 2) * 3);
+    for (let i = 0, c = 0; i + 1 < nbIds; i += 2, c += 3) {
+      cells[c] = 2;
+      cells[c + 1] = ids[i];
+      cells[c + 2] = ids[i + 1];
+    }
+  } else if (mode === 2) {
+    cells = new Uint32Array(nbIds + 2);
+    cells[0] = nbIds + 1;
+    cells.set(ids, 1);
+    cells[nbIds + 1] = ids[0];
+  } else if (mode === 3 || mode === 5) {
+    cells = new Uint32Array(nbIds + 1);
+    cells[0] = nbIds;
+    cells.set(ids, 1);
+  } else if (mode === 4) {
+    cells = new Uint32Array(Math.floor(nbIds / 3) * 4);
+    for (let i = 0, c = 0; i + 2 < nbIds; i += 3, c += 4) {
+      cells[c] = 3;
+      cells[c + 1] = ids[i];
+      cells[c + 2] = ids[i + 1];
+      cells[c + 3] = ids[i + 2];
+    }
+  } else if (mode === 6) {
+    cells = new Uint32Array(Math.max(0, nbIds - 2) * 4);
+    for (let i = 1, c = 0; i + 1 < nbIds; i++, c += 4) {
+      cells[c] = 3;
+      cells[c + 1] = ids[0];
+      cells[c + 2] = ids[i];
+      cells[c + 3] = ids[i + 1];
+    }
+  } else {
+    cells = new Uint32Array(0);
+  }
+  return cells;
+}
+
+function createPolyData(gltf, primitive) {
+  const { attributes, indices, mode = 4 } = primitive;
+  if (attributes.POSITION === undefined) {
+    return null;
+  }
+
+  const polydata = vtkPolyData.newInstance();
+  const points = readAccessor(gltf, attributes.POSITION).values;
+  polydata.getPoints().setData(Float32Array.from(points), 3);
+
+  const nbPoints = points.length / 3;
+  let ids = null;
+  if (indices !== undefined) {
+    ids = readAccessor(gltf, indices).values;
+  } else {
+    ids = new Uint32Array(nbPoints);
+    for (let i = 0; i < nbPoints; i++) {
+      ids[i] = i;
+    }
+  }
+  const cells = createCells(ids, mode);
+  const cellType = ['Verts', 'Lines', 'Lines', 'Lines', 'Polys', 'Strips'][
+    mode
+  ];
+  polydata[`get${cellType || 'Polys'}`]().setData(cells);
+
+  const pointData = polydata.getPointData();
+  if (attributes.NORMAL !== undefined) {
+    const { values } = readAccessor(gltf, attributes.NORMAL);
+    pointData.setNormals(
+      vtkDataArray.newInstance({
+        name: 'Normals',
+        numberOfComponents: 3,
+        values: Float32Array.from(values),
+      })
+    );
+  }
+
+  if (attributes.TEXCOORD_0 !== undefined) {
+    const { values, normalization } = readAccessor(gltf, attributes.TEXCOORD_0);
+    const tcoords = new Float32Array(values.length);
+    for (let i = 0; i < values.length; i += 2) {
+      // glTF images start at the top
+      tcoords[i] = values[i] / normalization;
+      tcoords[i + 1] = 1 - values[i + 1] / normalization;
+    }
+    pointData.setTCoords(
+      vtkDataArray.newInstance({
+        name: 'TCoords',
+        numberOfComponents: 2,
+        values: tcoords,
+      })
+    );
+  }
+
+  if (attributes.COLOR_0 !== undefined) {
+    const color = readAccessor(gltf, attributes.COLOR_0);
+    // Float colors are not flagged as normalized
+    const normalization =
+      color.values instanceof Float32Array ? 1 : color.normalization;
+    pointData.setScalars(
+      vtkDataArray.newInstance({
+        name: 'Colors',
+        numberOfComponents: color.numberOfComponents,
+        values: Uint8Array.from(color.values, (v) =>
+          Math.round((255 * v) / normalization)
+        ),
+      })
+    );
+  }
+
+  return polydata;
+}
+
+function createTexture(gltf, textureIndex) {
+  const { json } = gltf;
+  const { source } = json.textures[textureIndex];
+  if (source === undefined) {
+    return null;
+  }
+
+  const image = json.images[source];
+  let url = null;
+  if (image.bufferView !== undefined) {
+    const view = json.bufferViews[image.bufferView];
+    const start = view.byteOffset || 0;
+    const blob = new Blob(
+      [gltf.buffers[view.buffer].slice(start, start + view.byteLength)],
+      { type: image.mimeType }
+    );
+    url = URL.createObjectURL(blob);
+  } else {
+    url = resolveUri(image.uri, gltf.baseURL);
+  }
+
+  const img = new Image();
+  img.crossOrigin = 'anonymous';
+  if (url.startsWith('blob:')) {
+    img.addEventListener('load', () => URL.revokeObjectURL(url));
+  }
+  img.src = url;
+
+  const texture = vtkTexture.newInstance({ interpolate: true, repeat: true });
+  texture.setImage(img);
+  // The texture is only usable once its image got loaded
+  if (gltf.onImageLoaded) {
+    img.addEventListener('load', () => gltf.onImageLoaded(texture));
+  }
+  return texture;
+}
+
+function createMaterial(gltf, materialIndex) {
+  const material = { color: [1, 1, 1], opacity: 1, texture: null };
+  if (materialIndex === undefined) {
+    return material;
+  }
+
+  const { pbrMetallicRoughness = {} } = gltf.json.materials[materialIndex];
+  const { baseColorFactor, baseColorTexture } = pbrMetallicRoughness;
+  if (baseColorFactor) {
+    material.color = baseColorFactor.slice(0, 3);
+    material.opacity = baseColorFactor[3];
+  }
+  if (baseColorTexture) {
+    if (!gltf.textures.has(baseColorTexture.index)) {
+      gltf.textures.set(
+        baseColorTexture.index,
+        createTexture(gltf, baseColorTexture.index)
+      );
+    }
+    material.texture = gltf.textures.get(baseColorTexture.index);
+  }
+  return material;
+}
+
+// Flatten the node hierarchy of the scene into a list of primitives
+// [{ name, polydata, matrix, material: { color, opacity, texture } }, ...]
+function createScene(gltf) {
+  const { json } = gltf;
+  const nodes = json.nodes || [];
+  let roots = null;
+  if (json.scenes && json.scenes.length) {
+    roots = json.scenes[json.scene || 0].nodes || [];
+  } else {
+    // No scene: use the nodes which are not a child of another node
+    const children = new Set();
+    nodes.forEach((node) =>
+      (node.children || []).forEach(children.add, children)
+    );
+    roots = nodes.map((node, i) => i).filter((i) => !children.has(i));
+  }
+
+  const primitives = new Map();
+  const items = [];
+  const traverse = (nodeIndex, parentMatrix) => {
+    const node = nodes[nodeIndex];
+    const localMatrix =
+      node.matrix ||
+      composeMatrix(
+        node.translation || [0, 0, 0],
+        node.rotation || [0, 0, 0, 1],
+        node.scale || [1, 1, 1]
+      );
+    const matrix = multiplyMatrices(parentMatrix, localMatrix);
+
+    if (node.mesh !== undefined) {
+      const mesh = json.meshes[node.mesh];
+      const name = node.name || mesh.name || `node${nodeIndex}`;
+      mesh.primitives.forEach((primitive, i) => {
+        // Meshes can be instantiated by several nodes
+        const key = `${node.mesh}/${i}`;
+        if (!primitives.has(key)) {
+          primitives.set(key, createPolyData(gltf, primitive));
+        }
+        const polydata = primitives.get(key);
+        if (polydata) {
+          items.push({
+            name,
+            polydata,
+            matrix,
+            material: createMaterial(gltf, primitive.material),
+          });
+        }
+      });
+    }
+
+    (node.children || []).forEach((child) => traverse(child, matrix));
+  };
+  roots.forEach((nodeIndex) => traverse(nodeIndex, IDENTITY));
+
+  return items;
+}
+
+// Parse a .glb or .gltf content, fetching the external buffers
+// relatively to baseURL. onImageLoaded is called with the texture
+// of each image once it is loaded.
+export function parseGLTF(arrayBuffer, baseURL = '', onImageLoaded = null) {
+  const decoder = new TextDecoder();
+  let json = null;
+  let binChunk = null;
+
+  const header = new DataView(
+    arrayBuffer,
+    0,
+    Math.min(12, arrayBuffer.byteLength)
+  );
+  if (arrayBuffer.byteLength >= 12 && header.getUint32(0, true) === GLB_MAGIC) {
+    if (header.getUint32(4, true) !== 2) {
+      return Promise.reject(new Error('Only GLB version 2 is supported'));
+    }
+    const dataView = new DataView(arrayBuffer);
+    let offset = 12;
+    while (offset + 8 <= arrayBuffer.byteLength) {
+      const chunkLength = dataView.getUint32(offset, true);
+      const chunkType = dataView.getUint32(offset + 4, true);
+      const chunk = arrayBuffer.slice(offset + 8, offset + 8 + chunkLength);
+      if (chunkType === GLB_CHUNK_JSON) {
+        json = JSON.parse(decoder.decode(chunk));
+      } else if (chunkType === GLB_CHUNK_BIN) {
+        binChunk = chunk;
+      }
+      offset += 8 + chunkLength;
+    }
+  } else {
+    try {
+      json = JSON.parse(decoder.decode(arrayBuffer));
+    } catch (error) {
+      return Promise.reject(new Error('Not a glTF or GLB file'));
+    }
+  }
+
+  if (!json || !json.asset || !`${json.asset.version}`.startsWith('2')) {
+    return Promise.reject(new Error('Only glTF 2.0 is supported'));
+  }
+
+  // Compressed geometry (Draco, meshopt...) can not be read without them
+  const unsupported = (json.extensionsRequired || []).filter(
+    (name) => !SUPPORTED_EXTENSIONS.includes(name)
+  );
+  if (unsupported.length) {
+    return Promise.reject(
+      new Error(`Unsupported glTF extensions: ${unsupported.join(', ')}`)
+    );
+  }
+
+  const buffers = (json.buffers || []).map(({ uri }) =>
+    uri === undefined
+      ? Promise.resolve(binChunk)
+      : fetchArrayBuffer(resolveUri(uri, baseURL))
+  );
+  return Promise.all(buffers).then((values) =>
+    createScene({
+      json,
+      buffers: values,
+      baseURL,
+      textures: new Map(),
+      onImageLoaded,
+    })
+  );
+}
+
+// Fetch and parse a .glb or .gltf file
+export function loadGLTF(url, onImageLoaded = null) {
+  const path = url.split(/[?#]/)[0].split('/');
+  path.pop();
+  return fetchArrayBuffer(url).then((arrayBuffer) =>
+    parseGLTF(arrayBuffer, path.join('/'), onImageLoaded)
+  );
+}
+
+export default { loadGLTF, parseGLTF };
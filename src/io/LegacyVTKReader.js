@@ -0,0 +1,407 @@
+import macro from '@kitware/vtk.js/macros.js';
+import DataAccessHelper from '@kitware/vtk.js/IO/Core/DataAccessHelper.js';
+import vtkDataArray from '@kitware/vtk.js/Common/Core/DataArray.js';
+import vtkImageData from '@kitware/vtk.js/Common/DataModel/ImageData.js';
+import vtkPolyData from '@kitware/vtk.js/Common/DataModel/PolyData.js';
+
+import { extractSurface } from '../utils';
+
+// Binary data is big endian: [size, TypedArray, DataView getter]
+const DATA_TYPES = {
+  unsigned_char: [1, Uint8Array, 'getUint8'],
+  char: [1, Int8Array, 'getInt8'],
+  unsigned_short: [2, Uint16Array, 'getUint16'],
+  short: [2, Int16Array, 'getInt16'],
+  unsigned_int: [4, Uint32Array, 'getUint32'],
+  int: [4, Int32Array, 'getInt32'],
+  unsigned_long: [8, Float64Array, 'getUint64'],
+  long: [8, Float64Array, 'getInt64'],
+  vtktypeuint64: [8, Float64Array, 'getUint64'],
+  vtktypeint64: [8, Float64Array, 'getInt64'],
+  vtkidtype: [4, Int32Array, 'getInt32'],
+  float: [4, Float32Array, 'getFloat32'],
+  double: [8, Float64Array, 'getFloat64'],
+};
+
+// Number of components of the attribute arrays
+const ATTRIBUTE_COMPONENTS = {
+  VECTORS: 3,
+  NORMALS: 3,
+  TENSORS: 9,
+};
+
+// Attributes to set as active in the field containers
+const ATTRIBUTE_TYPES = {
+  SCALARS: 'Scalars',
+  COLOR_SCALARS: 'Scalars',
+  VECTORS: 'Vectors',
+  NORMALS: 'Normals',
+  TEXTURE_COORDINATES: 'TCoords',
+};
+
+const CELL_KEYWORDS = {
+  VERTICES: 'verts',
+  LINES: 'lines',
+  POLYGONS: 'polys',
+  TRIANGLE_STRIPS: 'strips',
+  CELLS: 'cells',
+};
+
+// Read the mixed text/binary content of a legacy file
+function createCursor(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const decoder = new TextDecoder();
+  let position = 0;
+
+  const cursor = { binary: false };
+
+  cursor.done = () => position >= bytes.length;
+
+  cursor.readLine = () => {
+    const start = position;
+    while (position < bytes.length && bytes[position] !== 10) {
+      position++;
+    }
+    const line = decoder.decode(bytes.subarray(start, position));
+    position++;
+    return line.replace(/\r$/, '');
+  };
+
+  // Whether the next word is the given keyword (without reading it)
+  cursor.nextIs = (keyword) => {
+    let start = position;
+    while (start < bytes.length && bytes[start] <= 32) {
+      start++;
+    }
+    const word = decoder.decode(bytes.subarray(start, start + keyword.length));
+    return word.toUpperCase() === keyword;
+  };
+
+  // Next non empty line split into words or null at the end of the file
+  cursor.readWords = () => {
+    while (!cursor.done()) {
+      const line = cursor.readLine().trim();
+      if (line.length) {
+        return line.split(/\s+/);
+      }
+    }
+    return null;
+  };
+
+  cursor.readToken = () => {
+    while (position < bytes.length && bytes[position] <= 32) {
+      position++;
+    }
+    const start = position;
+    while (position < bytes.length && bytes[position] > 32) {
+      position++;
+    }
+    if (start === position) {
+      throw new Error('Unexpected end of file');
+    }
+    return decoder.decode(bytes.subarray(start, position));
+  };
+
+  cursor.readValues = (count, typeName) => {
+    const dataType = DATA_TYPES[typeName.toLowerCase()];
+    if (!dataType) {
+      throw new Error(`Unsupported data type: ${typeName}`);
+    }
+    const [size, TypedArray, getter] = dataType;
+    const values = new TypedArray(count);
+
+    if (!cursor.binary) {
+      for (let i = 0; i < count; i++) {
+        values[i] = Number(cursor.readToken());
+      }
+      return values;
+    }
+
+    if (position + count * size > bytes.length) {
+      throw new Error('Unexpected end of file');
+    }
+    for (let i = 0; i < count; i++) {
+      const offset = position + i * size;
+      if (getter === 'getInt64') {
+        values[i] =
+          view.getInt32(offset) * 4294967296 + view.getUint32(offset + 4);
+      } else if (getter === 'getUint64') {
+        values[i] =
+          view.getUint32(offset) * 4294967296 + view.getUint32(offset + 4);
+      } else {
+        values[i] = view[getter](offset);
+      }
+    }
+    position += count * size;
+    return values;
+  };
+
+  return cursor;
+}
+
+// Cell array [n, id1, ..., idn, ...] in the legacy or the
+// OFFSETS/CONNECTIVITY (file version >= 5) layout
+function readCells(cursor, words) {
+  if (!cursor.nextIs('OFFSETS')) {
+    return Uint32Array.from(cursor.readValues(Number(words[2]), 'int'));
+  }
+
+  const [, offsetsType] = cursor.readWords();
+  const offsets = cursor.readValues(Number(words[1]), offsetsType);
+  const [, connectivityType] = cursor.readWords();
+  const connectivity = cursor.readValues(Number(words[2]), connectivityType);
+  const nbCells = offsets.length - 1;
+  const cells = new Uint32Array(nbCells + connectivity.length);
+  let offset = 0;
+  for (let i = 0; i < nbCells; i++) {
+    cells[offset++] = offsets[i + 1] - offsets[i];
+    for (let j = offsets[i]; j < offsets[i + 1]; j++) {
+      cells[offset++] = connectivity[j];
+    }
+  }
+  return cells;
+}
+
+function readAttribute(cursor, words, size) {
+  const keyword = words[0].toUpperCase();
+  const name = words[1];
+  let numberOfComponents = ATTRIBUTE_COMPONENTS[keyword] || 1;
+  let dataType = words[2];
+
+  if (keyword === 'SCALARS') {
+    numberOfComponents = Number(words[3] || 1);
+
+    // Optional LOOKUP_TABLE line
+    if (cursor.nextIs('LOOKUP_TABLE')) {
+      cursor.readWords();
+    }
+  } else if (keyword === 'COLOR_SCALARS') {
+    numberOfComponents = Number(words[2]);
+    dataType = cursor.binary ? 'unsigned_char' : 'float';
+  } else if (keyword === 'TEXTURE_COORDINATES') {
+    numberOfComponents = Number(words[2]);
+    dataType = words[3];
+  }
+
+  const values = cursor.readValues(size * numberOfComponents, dataType);
+  return {
+    array: vtkDataArray.newInstance({ name, numberOfComponents, values }),
+    attribute: ATTRIBUTE_TYPES[keyword] || null,
+  };
+}
+
+function readField(cursor, words) {
+  const fields = [];
+  const nbArrays = Number(words[2]);
+  for (let i = 0; i < nbArrays; i++) {
+    const [name, nbComponents, nbTuples, dataType] = cursor.readWords();
+    if (name.toUpperCase() !== 'NULL_ARRAY') {
+      const numberOfComponents = Number(nbComponents);
+      const values = cursor.readValues(
+        numberOfComponents * Number(nbTuples),
+        dataType
+      );
+      fields.push({
+        array: vtkDataArray.newInstance({ name, numberOfComponents, values }),
+        attribute: null,
+      });
+    }
+  }
+  return fields;
+}
+
+function addArrays(container, arrays) {
+  arrays.forEach(({ array, attribute }) => {
+    if (attribute && !container[`get${attribute}`]()) {
+      container[`set${attribute}`](array);
+    } else {
+      container.addArray(array);
+    }
+  });
+}
+
+// Parse a legacy file into a vtkPolyData (surface of the unstructured grids)
+// or a vtkImageData (structured points)
+function parseLegacyVTK(arrayBuffer) {
+  const cursor = createCursor(new Uint8Array(arrayBuffer));
+  if (!cursor.readLine().startsWith('# vtk DataFile')) {
+    throw new Error('Not a legacy VTK file');
+  }
+  cursor.readLine(); // title
+  cursor.binary = cursor.readLine().trim().toUpperCase() === 'BINARY';
+
+  let datasetType = null;
+  let points = null;
+  let types = null;
+  const cells = {};
+  const image = {
+    dimensions: [1, 1, 1],
+    origin: [0, 0, 0],
+    spacing: [1, 1, 1],
+  };
+  const fields = { POINT_DATA: [], CELL_DATA: [], FIELD: [] };
+  let attributes = fields.FIELD;
+  let attributeSize = 0;
+
+  let words = cursor.readWords();
+  while (words) {
+    const keyword = words[0].toUpperCase();
+    if (keyword === 'DATASET') {
+      datasetType = words[1].toUpperCase();
+    } else if (keyword === 'POINTS') {
+      points = cursor.readValues(Number(words[1]) * 3, words[2]);
+    } else if (CELL_KEYWORDS[keyword]) {
+      cells[CELL_KEYWORDS[keyword]] = readCells(cursor, words);
+    } else if (keyword === 'CELL_TYPES') {
+      types = cursor.readValues(Number(words[1]), 'int');
+    } else if (keyword === 'DIMENSIONS') {
+      image.dimensions = words.slice(1, 4).map(Number);
+    } else if (keyword === 'ORIGIN') {
+      image.origin = words.slice(1, 4).map(Number);
+    } else if (keyword === 'SPACING' || keyword === 'ASPECT_RATIO') {
+      image.spacing = words.slice(1, 4).map(Number);
+    } else if (keyword === 'POINT_DATA' || keyword === 'CELL_DATA') {
+      attributes = fields[keyword];
+      attributeSize = Number(words[1]);
+    } else if (
+      ATTRIBUTE_TYPES[keyword] ||
+      ATTRIBUTE_COMPONENTS[keyword] ||
+      keyword === 'SCALARS'
+    ) {
+      attributes.push(readAttribute(cursor, words, attributeSize));
+    } else if (keyword === 'LOOKUP_TABLE') {
+      // Color table which is not used for rendering
+      const size = Number(words[2]);
+      cursor.readValues(size * 4, cursor.binary ? 'unsigned_char' : 'float');
+    } else if (keyword === 'FIELD') {
+      attributes.push(...readField(cursor, words));
+    } else if (keyword === 'METADATA') {
+      // Skip the metadata block ending with an empty line
+      while (!cursor.done() && cursor.readLine().trim().length) {
+        // ignored
+      }
+    } else {
+      throw new Error(`Unsupported keyword: ${keyword}`);
+    }
+    words = cursor.readWords();
+  }
+
+  if (datasetType === 'STRUCTURED_POINTS') {
+    const [nx, ny, nz] = image.dimensions;
+    const imageData = vtkImageData.newInstance({
+      origin: image.origin,
+      spacing: image.spacing,
+      extent: [0, nx - 1, 0, ny - 1, 0, nz - 1],
+    });
+    addArrays(imageData.getPointData(), fields.POINT_DATA);
+    addArrays(imageData.getCellData(), fields.CELL_DATA);
+    addArrays(imageData.getFieldData(), fields.FIELD);
+    return imageData;
+  }
+
+  if (datasetType !== 'POLYDATA' && datasetType !== 'UNSTRUCTURED_GRID') {
+    throw new Error(`Unsupported dataset type: ${datasetType}`);
+  }
+  if (!points) {
+    throw new Error('Missing POINTS');
+  }
+
+  const polydata = vtkPolyData.newInstance();
+  polydata.getPoints().setData(points, 3);
+  addArrays(polydata.getPointData(), fields.POINT_DATA);
+  addArrays(polydata.getCellData(), fields.CELL_DATA);
+  addArrays(polydata.getFieldData(), fields.FIELD);
+
+  if (datasetType === 'UNSTRUCTURED_GRID') {
+    return extractSurface(
+      polydata,
+      cells.cells || new Uint32Array(),
+      types || []
+    );
+  }
+
+  ['verts', 'lines', 'polys', 'strips'].forEach((name) => {
+    if (cells[name]) {
+      polydata[`get${name[0].toUpperCase()}${name.slice(1)}`]().setData(
+        cells[name]
+      );
+    }
+  });
+  return polydata;
+}
+
+// ----------------------------------------------------------------------------
+// vtkLegacyVTKReader methods
+// ----------------------------------------------------------------------------
+
+function vtkLegacyVTKReader(publicAPI, model) {
+  model.classHierarchy.push('vtkLegacyVTKReader');
+
+  // Create default dataAccessHelper if not available
+  if (!model.dataAccessHelper) {
+    model.dataAccessHelper = DataAccessHelper.get('http');
+  }
+
+  publicAPI.setUrl = (url, option = {}) => {
+    model.url = url;
+
+    // Remove the file in the URL
+    const path = url.split('/');
+    path.pop();
+    model.baseURL = path.join('/');
+
+    return publicAPI.loadData(option);
+  };
+
+  publicAPI.loadData = (option = {}) =>
+    model.dataAccessHelper
+      .fetchBinary(model.url, {
+        ...option,
+        progressCallback: option.progressCallback || model.progressCallback,
+      })
+      .then(publicAPI.parseAsArrayBuffer);
+
+  publicAPI.parseAsArrayBuffer = (arrayBuffer) => {
+    if (!arrayBuffer) {
+      return false;
+    }
+    if (arrayBuffer === model.rawDataBuffer) {
+      return true;
+    }
+
+    model.rawDataBuffer = arrayBuffer;
+    model.output[0] = parseLegacyVTK(arrayBuffer);
+    publicAPI.modified();
+    return true;
+  };
+
+  publicAPI.parseAsText = (content) =>
+    publicAPI.parseAsArrayBuffer(new TextEncoder().encode(content).buffer);
+
+  publicAPI.requestData = (inData, outData) => {
+    publicAPI.parseAsArrayBuffer(model.rawDataBuffer);
+  };
+}
+
+// ----------------------------------------------------------------------------
+// Object factory
+// ----------------------------------------------------------------------------
+
+function extend(publicAPI, model, initialValues = {}) {
+  Object.assign(model, { progressCallback: null }, initialValues);
+
+  // Build VTK API
+  macro.obj(publicAPI, model);
+  macro.get(publicAPI, model, ['url', 'baseURL']);
+  macro.setGet(publicAPI, model, ['dataAccessHelper']);
+  macro.algo(publicAPI, model, 0, 1);
+
+  // Object specific methods
+  vtkLegacyVTKReader(publicAPI, model);
+}
+
+// ----------------------------------------------------------------------------
+
+export const newInstance = macro.newInstance(extend, 'vtkLegacyVTKReader');
+
+export default { newInstance, extend };
@@ -0,0 +1,114 @@
+import macro from '@kitware/vtk.js/macros.js';
+import vtkPolyData from '@kitware/vtk.js/Common/DataModel/PolyData.js';
+import vtkXMLReader from '@kitware/vtk.js/IO/XML/XMLReader.js';
+
+import { extractSurface } from '../utils';
+
+// ----------------------------------------------------------------------------
+// vtkXMLUnstructuredGridReader methods
+// ----------------------------------------------------------------------------
+
+function vtkXMLUnstructuredGridReader(publicAPI, model) {
+  model.classHierarchy.push('vtkXMLUnstructuredGridReader');
+
+  // Each piece is converted into the vtkPolyData of its surface
+  publicAPI.parseXML = (rootElem, type, compressor, byteOrder, headerType) => {
+    const datasetElem = rootElem.getElementsByTagName(model.dataType)[0];
+    const pieces = datasetElem.getElementsByTagName('Piece');
+    const { binaryBuffer } = model;
+
+    for (let outputIndex = 0; outputIndex < pieces.length; outputIndex++) {
+      const piece = pieces[outputIndex];
+      const nbPoints = Number(piece.getAttribute('NumberOfPoints'));
+      const nbCells = Number(piece.getAttribute('NumberOfCells'));
+      const polydata = vtkPolyData.newInstance();
+
+      // Points
+      if (nbPoints > 0) {
+        const { values, numberOfComponents } = vtkXMLReader.processDataArray(
+          nbPoints,
+          piece
+            .getElementsByTagName('Points')[0]
+            .getElementsByTagName('DataArray')[0],
+          compressor,
+          byteOrder,
+          headerType,
+          binaryBuffer
+        );
+        polydata.getPoints().setData(values, numberOfComponents);
+      }
+
+      // Fill data
+      vtkXMLReader.processFieldData(
+        nbPoints,
+        piece.getElementsByTagName('PointData')[0],
+        polydata.getPointData(),
+        compressor,
+        byteOrder,
+        headerType,
+        binaryBuffer
+      );
+      vtkXMLReader.processFieldData(
+        nbCells,
+        piece.getElementsByTagName('CellData')[0],
+        polydata.getCellData(),
+        compressor,
+        byteOrder,
+        headerType,
+        binaryBuffer
+      );
+
+      // Cells
+      let cells = new Uint32Array();
+      let types = [];
+      if (nbCells > 0) {
+        const cellsElem = piece.getElementsByTagName('Cells')[0];
+        cells = vtkXMLReader.processCells(
+          nbCells,
+          cellsElem,
+          compressor,
+          byteOrder,
+          headerType,
+          binaryBuffer
+        );
+        const typesElem = Array.from(
+          cellsElem.getElementsByTagName('DataArray')
+        ).find((elem) => elem.getAttribute('Name') === 'types');
+        types = vtkXMLReader.processDataArray(
+          nbCells,
+          typesElem,
+          compressor,
+          byteOrder,
+          headerType,
+          binaryBuffer
+        ).values;
+      }
+
+      // Add new output
+      model.output[outputIndex] = extractSurface(polydata, cells, types);
+    }
+  };
+}
+
+// ----------------------------------------------------------------------------
+// Object factory
+// ----------------------------------------------------------------------------
+
+function extend(publicAPI, model, initialValues = {}) {
+  Object.assign(model, { dataType: 'UnstructuredGrid' }, initialValues);
+
+  // Inheritance
+  vtkXMLReader.extend(publicAPI, model, initialValues);
+
+  // Object specific methods
+  vtkXMLUnstructuredGridReader(publicAPI, model);
+}
+
+// ----------------------------------------------------------------------------
+
+export const newInstance = macro.newInstance(
+  extend,
+  'vtkXMLUnstructuredGridReader'
+);
+
+export default { newInstance, extend };
@@ -0,0 +1,65 @@
+import vtkActor from '@kitware/vtk.js/Rendering/Core/Actor.js';
+import vtkMapper from '@kitware/vtk.js/Rendering/Core/Mapper.js';
+import vtkVolume from '@kitware/vtk.js/Rendering/Core/Volume.js';
+import vtkVolumeMapper from '@kitware/vtk.js/Rendering/Core/VolumeMapper.js';
+import vtkSphereMapper from '@kitware/vtk.js/Rendering/Core/SphereMapper.js';
+import vtkStickMapper from '@kitware/vtk.js/Rendering/Core/StickMapper.js';
+import vtkMoleculeToRepresentation from '@kitware/vtk.js/Filters/General/MoleculeToRepresentation.js';
+import vtkColorMaps from '@kitware/vtk.js/Rendering/Core/ColorTransferFunction/ColorMaps.js';
+import vtkColorTransferFunction from '@kitware/vtk.js/Rendering/Core/ColorTransferFunction.js';
+import vtkPiecewiseFunction from '@kitware/vtk.js/Common/DataModel/PiecewiseFunction.js';
+
+// Create the props rendering a dataset read from a dropped file,
+// tagged with representationId so View.pick can report them
+export default function createDatasetProps(dataset, representationId) {
+  if (dataset.isA('vtkMolecule')) {
+    const filter = vtkMoleculeToRepresentation.newInstance();
+    filter.setInputData(dataset);
+    const sphereMapper = vtkSphereMapper.newInstance({
+      scaleArray: filter.getSphereScaleArrayName(),
+    });
+    sphereMapper.setInputConnection(filter.getOutputPort(0));
+    const stickMapper = vtkStickMapper.newInstance({
+      scaleArray: 'stickScales',
+      orientationArray: 'orientation',
+    });
+    stickMapper.setInputConnection(filter.getOutputPort(1));
+    return [sphereMapper, stickMapper].map((mapper) => {
+      const actor = vtkActor.newInstance({ representationId });
+      actor.setMapper(mapper);
+      return actor;
+    });
+  }
+
+  const scalars =
+    dataset.getPointData().getScalars() || dataset.getCellData().getScalars();
+  const range = scalars ? scalars.getRange() : [0, 1];
+
+  if (dataset.isA('vtkImageData')) {
+    const lookupTable = vtkColorTransferFunction.newInstance();
+    lookupTable.applyColorMap(
+      vtkColorMaps.getPresetByName('erdc_rainbow_bright')
+    );
+    lookupTable.setMappingRange(...range);
+    lookupTable.updateRange();
+    const piecewiseFunction = vtkPiecewiseFunction.newInstance();
+    piecewiseFunction.setNodes([
+      { x: range[0], y: 0, midpoint: 0.5, sharpness: 0 },
+      { x: range[1], y: 1, midpoint: 0.5, sharpness: 0 },
+    ]);
+    const mapper = vtkVolumeMapper.newInstance();
+    mapper.setInputData(dataset);
+    const volume = vtkVolume.newInstance({ representationId });
+    volume.setMapper(mapper);
+    volume.getProperty().setRGBTransferFunction(0, lookupTable);
+    volume.getProperty().setScalarOpacity(0, piecewiseFunction);
+    volume.getProperty().setInterpolationTypeToLinear();
+    return [volume];
+  }
+
+  const mapper = vtkMapper.newInstance({ scalarRange: range });
+  mapper.setInputData(dataset);
+  const actor = vtkActor.newInstance({ representationId });
+  actor.setMapper(mapper);
+  return [actor];
+}
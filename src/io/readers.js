@@ -0,0 +1,33 @@
+import vtk from '@kitware/vtk.js/vtk.js';
+
+import { READERS_BY_EXTENSION } from '../AvailableClasses';
+import { readBlob } from '../utils';
+
+// Reader class matching the extension of a file name or url
+export function getReaderClass(name) {
+  const extension = name.split(/[?#]/)[0].split('.').pop().toLowerCase();
+  return READERS_BY_EXTENSION[extension] || '';
+}
+
+// Read a File with the reader matching its extension
+// and resolve with the output dataset
+export function readFile(file) {
+  const vtkClass = getReaderClass(file.name);
+  if (!vtkClass) {
+    return Promise.reject(new Error(`No reader available for ${file.name}`));
+  }
+
+  const reader = vtk({ vtkClass });
+  const asText = !reader.parseAsArrayBuffer;
+  return readBlob(file, asText).then((content) => {
+    const result = asText
+      ? reader.parseAsText(content)
+      : reader.parseAsArrayBuffer(content);
+    if (result === false) {
+      throw new Error(`${vtkClass} could not parse ${file.name}`);
+    }
+    const dataset = reader.getOutputData();
+    reader.delete();
+    return dataset;
+  });
+}
@@ -44,6 +44,8 @@ export default function VolumneDataRepresentation(props) {
       property={props.property}
       mapper={props.mapper}
       volume={props.volume}
+      interactiveLOD={props.interactiveLOD}
+      interactiveImageSampleDistance={props.interactiveImageSampleDistance}
     >
       {props.volumeController && (
         <VolumeController
@@ -76,6 +78,8 @@ VolumneDataRepresentation.defaultProps = {
   volumeController: true,
   rescaleColorMap: true,
   controllerSize: [400, 150],
+  interactiveLOD: false,
+  interactiveImageSampleDistance: 2,
 };
 
 VolumneDataRepresentation.propTypes = {
@@ -159,4 +163,14 @@ VolumneDataRepresentation.propTypes = {
     PropTypes.arrayOf(PropTypes.number),
     PropTypes.string,
   ]),
+
+  /**
+   * Render the volume at a lower resolution while interacting with the view
+   */
+  interactiveLOD: PropTypes.bool,
+
+  /**
+   * Image sample distance (size of a ray in pixels) while interacting
+   */
+  interactiveImageSampleDistance: PropTypes.number,
 };
@@ -1,4 +1,9 @@
 import Base64 from '@kitware/vtk.js/Common/Core/Base64.js';
+import vtkDataArray from '@kitware/vtk.js/Common/Core/DataArray.js';
+import vtkMath from '@kitware/vtk.js/Common/Core/Math.js';
+import vtkPlane from '@kitware/vtk.js/Common/DataModel/Plane.js';
+import vtkPolyData from '@kitware/vtk.js/Common/DataModel/PolyData.js';
+import vtkActor from '@kitware/vtk.js/Rendering/Core/Actor.js';
 
 const NUMPY_DTYPES = {
   int32: Int32Array,
@@ -82,3 +87,592 @@ export function smartEqualsShallow(a, b) {
   }
   return a === b;
 }
+
+// convert an image data URL (data:image/png;base64,...) into a Blob
+export function dataURLToBlob(dataURL) {
+  const [header, content] = dataURL.split(',');
+  const type = header.split(':')[1].split(';')[0];
+  const binary = atob(content);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return new Blob([bytes], { type });
+}
+
+// copy the tuples of a vtkDataArray for the given ids
+function gatherTuples(array, ids) {
+  const nbComp = array.getNumberOfComponents();
+  const inValues = array.getData();
+  const values = new inValues.constructor(ids.length * nbComp);
+  for (let i = 0; i < ids.length; i++) {
+    for (let c = 0; c < nbComp; c++) {
+      values[i * nbComp + c] = inValues[ids[i] * nbComp + c];
+    }
+  }
+  return vtkDataArray.newInstance({
+    name: array.getName(),
+    numberOfComponents: nbComp,
+    values,
+  });
+}
+
+// create a point cloud using at most maxPoints points of the given dataset
+// while keeping its point data arrays
+export function samplePoints(dataset, maxPoints) {
+  const nbPoints = dataset.getNumberOfPoints();
+  const stride = Math.max(1, Math.ceil(nbPoints / maxPoints));
+  const pointIds = [];
+  for (let id = 0; id < nbPoints; id += stride) {
+    pointIds.push(id);
+  }
+  return extractPoints(dataset, pointIds);
+}
+
+// point cloud (with vertices) made of the given points of a dataset
+// along with their point data
+export function extractPoints(dataset, pointIds) {
+  const nbSamples = pointIds.length;
+  const inPoints = dataset.getPoints().getData();
+  const points = new inPoints.constructor(nbSamples * 3);
+  const verts = new Uint32Array(nbSamples * 2);
+  for (let i = 0; i < nbSamples; i++) {
+    const id = pointIds[i];
+    points[i * 3] = inPoints[id * 3];
+    points[i * 3 + 1] = inPoints[id * 3 + 1];
+    points[i * 3 + 2] = inPoints[id * 3 + 2];
+    verts[i * 2] = 1;
+    verts[i * 2 + 1] = i;
+  }
+
+  const sample = vtkPolyData.newInstance();
+  sample.getPoints().setData(points, 3);
+  sample.getVerts().setData(verts);
+
+  const inPointData = dataset.getPointData();
+  const pointData = sample.getPointData();
+  const scalars = inPointData.getScalars();
+  inPointData
+    .getArrays()
+    .forEach((array) => pointData.addArray(gatherTuples(array, pointIds)));
+  if (scalars) {
+    pointData.setActiveScalars(scalars.getName());
+  }
+
+  return sample;
+}
+
+// polydata sharing the points of the input but only made of the given cells
+// (ids following the verts, lines, polys, strips order) and of a vertex for
+// each of the given points
+export function extractSelection(polydata, { pointIds = [], cellIds = [] }) {
+  const selected = new Set(cellIds);
+  const output = vtkPolyData.newInstance();
+  output.setPoints(polydata.getPoints());
+
+  let offset = 0;
+  ['verts', 'lines', 'polys', 'strips'].forEach((type) => {
+    const cells = [];
+    if (type === 'verts') {
+      pointIds.forEach((id) => cells.push(1, id));
+    }
+
+    const inCells = polydata.get(type)[type];
+    const nbCells = inCells ? inCells.getNumberOfCells() : 0;
+    if (nbCells && selected.size) {
+      const data = inCells.getData();
+      let i = 0;
+      for (let cellId = offset; cellId < offset + nbCells; cellId++) {
+        const size = data[i];
+        if (selected.has(cellId)) {
+          for (let j = 0; j <= size; j++) {
+            cells.push(data[i + j]);
+          }
+        }
+        i += size + 1;
+      }
+    }
+    offset += nbCells;
+
+    if (cells.length) {
+      output.get(type)[type].setData(Uint32Array.from(cells));
+    }
+  });
+
+  return output;
+}
+
+// actor settings copied to the selection highlight
+const SELECTION_ACTOR_PROPERTIES = [
+  'origin',
+  'position',
+  'orientation',
+  'scale',
+];
+
+// highlight of the selected points/cells of a representation drawn on top of
+// its actor, optionally adding the point/cell under the mouse.
+//   - mapper: highlight mapper (vtkMapper or vtkGlyph3DMapper)
+//   - extract({ pointIds, cellIds }, inputs): set the highlight mapper inputs
+//   - hoverIds: pick info fields used for hovering, by priority
+export function createSelectionHighlight(
+  mapper,
+  { extract, hoverIds = ['cellId', 'pointId'] }
+) {
+  const actor = vtkActor.newInstance({ visibility: false, pickable: false });
+  mapper.set({ scalarVisibility: false, resolveCoincidentTopology: true });
+  mapper.setRelativeCoincidentTopologyPolygonOffsetParameters(-4, -4);
+  mapper.setRelativeCoincidentTopologyLineOffsetParameters(-2, -2);
+  mapper.setRelativeCoincidentTopologyPointOffsetParameters(0, -2);
+  actor.setMapper(mapper);
+
+  let hoverSelection = null;
+  let hoverSubscription = null;
+  let state = [];
+
+  const onHover = (representationId, info, onChange) => {
+    let selection = null;
+    if (info && info.representationId === representationId) {
+      const name = hoverIds.find((field) => info[field] !== undefined);
+      if (name) {
+        selection = { [`${name}s`]: [info[name]] };
+      }
+    }
+    if (JSON.stringify(hoverSelection) !== JSON.stringify(selection)) {
+      hoverSelection = selection;
+      onChange();
+    }
+  };
+
+  return {
+    actor,
+    mapper,
+
+    // follow the mouse over the view and call onChange() when the hovered
+    // point/cell changes. Returns true when the highlight got modified.
+    setHoverHighlight(view, representationId, enabled, onChange) {
+      if (enabled && !hoverSubscription && view && view.addHoverListener) {
+        hoverSubscription = view.addHoverListener((info) =>
+          onHover(representationId, info, onChange)
+        );
+      }
+      if (!enabled && hoverSubscription) {
+        hoverSubscription.unsubscribe();
+        hoverSubscription = null;
+        hoverSelection = null;
+        return true;
+      }
+      return false;
+    },
+
+    // show the selection merged with the hovered point/cell on top of
+    // sourceActor and only extract again when the inputs or selection changed
+    update(sourceActor, visible, selection, inputs) {
+      const pointIds = [];
+      const cellIds = [];
+      [selection, hoverSelection].forEach((item) => {
+        if (item) {
+          pointIds.push(...(item.pointIds || []));
+          cellIds.push(...(item.cellIds || []));
+        }
+      });
+
+      const show =
+        visible &&
+        inputs.every((input) => !!input) &&
+        (pointIds.length > 0 || cellIds.length > 0);
+      actor.set(sourceActor.get(...SELECTION_ACTOR_PROPERTIES));
+      actor.setVisibility(show);
+      if (!show) {
+        return;
+      }
+
+      const current = [
+        ...inputs,
+        ...inputs.map((input) => input.getMTime()),
+        selection,
+        hoverSelection,
+      ];
+      if (current.every((value, i) => value === state[i])) {
+        return;
+      }
+      state = current;
+      extract({ pointIds, cellIds }, inputs);
+    },
+
+    delete() {
+      if (hoverSubscription) {
+        hoverSubscription.unsubscribe();
+        hoverSubscription = null;
+      }
+      actor.delete();
+      mapper.delete();
+    },
+  };
+}
+
+// uniform bins of the points [x, y, z, ...] to look up the closest point
+// of a position without going through every point
+export function createPointLocator(points) {
+  const nbPoints = points.length / 3;
+  const bounds = [
+    Infinity,
+    -Infinity,
+    Infinity,
+    -Infinity,
+    Infinity,
+    -Infinity,
+  ];
+  for (let i = 0; i < points.length; i += 3) {
+    for (let c = 0; c < 3; c++) {
+      bounds[c * 2] = Math.min(bounds[c * 2], points[i + c]);
+      bounds[c * 2 + 1] = Math.max(bounds[c * 2 + 1], points[i + c]);
+    }
+  }
+
+  // about 8 points per bin, spread according to the bounds aspect
+  const lengths = [0, 1, 2].map((c) => bounds[c * 2 + 1] - bounds[c * 2]);
+  const maxLength = Math.max(...lengths) || 1;
+  const binSize = maxLength / Math.max(1, Math.cbrt(nbPoints / 8));
+  const dims = lengths.map((length) =>
+    Math.max(1, Math.min(1024, Math.ceil(length / binSize)))
+  );
+  const spacing = lengths.map((length, c) => length / dims[c] || 1);
+
+  const binIndex = (c, value) =>
+    Math.max(
+      0,
+      Math.min(dims[c] - 1, Math.floor((value - bounds[c * 2]) / spacing[c]))
+    );
+  const binOf = (i) =>
+    binIndex(0, points[i * 3]) +
+    dims[0] *
+      (binIndex(1, points[i * 3 + 1]) +
+        dims[1] * binIndex(2, points[i * 3 + 2]));
+
+  // points sorted by bin: binPoints[offsets[bin]..offsets[bin + 1]]
+  const nbBins = dims[0] * dims[1] * dims[2];
+  const offsets = new Uint32Array(nbBins + 1);
+  const bins = new Uint32Array(nbPoints);
+  for (let i = 0; i < nbPoints; i++) {
+    bins[i] = binOf(i);
+    offsets[bins[i] + 1]++;
+  }
+  for (let b = 0; b < nbBins; b++) {
+    offsets[b + 1] += offsets[b];
+  }
+  const binPoints = new Uint32Array(nbPoints);
+  const fill = offsets.slice(0, nbBins);
+  for (let i = 0; i < nbPoints; i++) {
+    binPoints[fill[bins[i]]++] = i;
+  }
+
+  return {
+    // id of the closest point or -1 when there is no point
+    findClosestPoint(position) {
+      if (!nbPoints) {
+        return -1;
+      }
+      const center = [0, 1, 2].map((c) => binIndex(c, position[c]));
+      let closestId = -1;
+      let minDistance = Infinity;
+
+      // visit the shells of bins around the position until no closer
+      // point can be found
+      for (let r = 0; ; r++) {
+        const min = center.map((v) => v - r);
+        const max = center.map((v) => v + r);
+        const lo = min.map((v) => Math.max(0, v));
+        const hi = max.map((v, c) => Math.min(dims[c] - 1, v));
+        for (let k = lo[2]; k <= hi[2]; k++) {
+          for (let j = lo[1]; j <= hi[1]; j++) {
+            // inside the shell, only its first and last bins along x
+            const inside =
+              k !== min[2] && k !== max[2] && j !== min[1] && j !== max[1];
+            const step = inside ? Math.max(1, max[0] - min[0]) : 1;
+            for (let i = inside ? min[0] : lo[0]; i <= hi[0]; i += step) {
+              if (i < 0) {
+                continue;
+              }
+              const bin = i + dims[0] * (j + dims[1] * k);
+              for (let p = offsets[bin]; p < offsets[bin + 1]; p++) {
+                const id = binPoints[p];
+                const dx = points[id * 3] - position[0];
+                const dy = points[id * 3 + 1] - position[1];
+                const dz = points[id * 3 + 2] - position[2];
+                const distance = dx * dx + dy * dy + dz * dz;
+                if (distance < minDistance) {
+                  minDistance = distance;
+                  closestId = id;
+                }
+              }
+            }
+          }
+        }
+
+        // distance from the position to the outside of the visited bins
+        let outside = Infinity;
+        for (let c = 0; c < 3; c++) {
+          if (min[c] > 0) {
+            outside = Math.min(
+              outside,
+              position[c] - (bounds[c * 2] + min[c] * spacing[c])
+            );
+          }
+          if (max[c] < dims[c] - 1) {
+            outside = Math.min(
+              outside,
+              bounds[c * 2] + (max[c] + 1) * spacing[c] - position[c]
+            );
+          }
+        }
+        if (
+          outside === Infinity ||
+          (closestId !== -1 && minDistance <= outside * outside)
+        ) {
+          return closestId;
+        }
+      }
+    },
+  };
+}
+
+// even-odd rule test of a 2D position against a polygon [[x, y], ...]
+export function pointInPolygon([x, y], polygon) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [xi, yi] = polygon[i];
+    const [xj, yj] = polygon[j];
+    if (yi > y !== yj > y && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+// set the clipping planes [{ origin, normal }, ...] of a mapper while reusing
+// its vtkPlane instances when the number of planes is unchanged
+// and return true when the mapper got modified
+export function updateClippingPlanes(mapper, planes = []) {
+  const current = mapper.getClippingPlanes();
+  if (current.length !== planes.length) {
+    mapper.removeAllClippingPlanes();
+    planes.forEach(({ origin, normal }) =>
+      mapper.addClippingPlane(vtkPlane.newInstance({ origin, normal }))
+    );
+    mapper.modified();
+    return true;
+  }
+
+  let changed = false;
+  planes.forEach(({ origin, normal }, i) => {
+    changed = current[i].set({ origin, normal }) || changed;
+  });
+  if (changed) {
+    mapper.modified();
+  }
+  return changed;
+}
+
+// index to world matrix (column major) of an image shown by a prop
+// (row major matrix) along with its inverse
+export function getImageIndexToWorld(image, prop) {
+  const propMatrix = prop.getMatrix();
+  const imageMatrix = image.getIndexToWorld();
+  const indexToWorld = new Float64Array(16);
+  for (let col = 0; col < 4; col++) {
+    for (let row = 0; row < 4; row++) {
+      for (let k = 0; k < 4; k++) {
+        indexToWorld[col * 4 + row] +=
+          propMatrix[row * 4 + k] * imageMatrix[col * 4 + k];
+      }
+    }
+  }
+
+  const rows = [0, 1, 2, 3].map((i) =>
+    Array.from(indexToWorld.slice(i * 4, i * 4 + 4))
+  );
+  const inverse = [[], [], [], []];
+  vtkMath.invertMatrix(rows, inverse, 4);
+  const worldToIndex = Float64Array.from([].concat(...inverse));
+
+  return { indexToWorld, worldToIndex };
+}
+
+// convert cropping planes [imin, imax, jmin, jmax, kmin, kmax] in index
+// coordinates of a vtkImageData shown by a prop into world clipping planes
+// [{ origin, normal }]
+export function croppingToClippingPlanes(image, prop, planes) {
+  const { indexToWorld, worldToIndex } = getImageIndexToWorld(image, prop);
+  const clippingPlanes = [];
+  [0, 1, 2].forEach((axis) => {
+    // gradient of the index coordinate along that axis
+    const gradient = [0, 1, 2].map((c) => worldToIndex[c * 4 + axis]);
+    const norm = Math.hypot(...gradient);
+    [0, 1].forEach((side) => {
+      const ijk = [0, 0, 0, 1];
+      ijk[axis] = planes[axis * 2 + side];
+      const sign = side ? -1 : 1;
+      clippingPlanes.push({
+        origin: [0, 1, 2].map((row) =>
+          ijk.reduce((sum, v, k) => sum + indexToWorld[k * 4 + row] * v, 0)
+        ),
+        normal: gradient.map((v) => (sign * v) / norm),
+      });
+    });
+  });
+  return clippingPlanes;
+}
+
+// read the content of a File/Blob as text or ArrayBuffer
+export function readBlob(blob, asText) {
+  return new Promise((resolve, reject) => {
+    const fileReader = new FileReader();
+    fileReader.onload = () => resolve(fileReader.result);
+    fileReader.onerror = () => reject(fileReader.error);
+    if (asText) {
+      fileReader.readAsText(blob);
+    } else {
+      fileReader.readAsArrayBuffer(blob);
+    }
+  });
+}
+
+// faces of the linear 3D cells by VTK cell type (outward orientation)
+const CELL_FACES = {
+  10: [
+    [0, 1, 3],
+    [1, 2, 3],
+    [2, 0, 3],
+    [0, 2, 1],
+  ],
+  11: [
+    [0, 4, 6, 2],
+    [1, 3, 7, 5],
+    [0, 1, 5, 4],
+    [2, 6, 7, 3],
+    [0, 2, 3, 1],
+    [4, 5, 7, 6],
+  ],
+  12: [
+    [0, 4, 7, 3],
+    [1, 2, 6, 5],
+    [0, 1, 5, 4],
+    [3, 7, 6, 2],
+    [0, 3, 2, 1],
+    [4, 5, 6, 7],
+  ],
+  13: [
+    [0, 1, 2],
+    [3, 5, 4],
+    [0, 3, 4, 1],
+    [1, 4, 5, 2],
+    [2, 5, 3, 0],
+  ],
+  14: [
+    [0, 3, 2, 1],
+    [0, 1, 4],
+    [1, 2, 4],
+    [2, 3, 4],
+    [3, 0, 4],
+  ],
+};
+
+// quadratic cell types rendered as their linear counterpart
+// [linear type, number of corner points]
+const QUADRATIC_CELLS = {
+  21: [3, 2],
+  22: [5, 3],
+  23: [9, 4],
+  24: [10, 4],
+  25: [12, 8],
+  26: [13, 6],
+  27: [14, 5],
+};
+
+// set the cells of a polydata to the surface of unstructured grid cells
+// given as a cell array [n, id1, ..., idn, ...] and their VTK cell types.
+// 3D cells only contribute their faces which are not shared with
+// another cell and the cell data is reordered to match the new cells.
+export function extractSurface(polydata, cells, types) {
+  const cellsByType = { verts: [], lines: [], polys: [], strips: [] };
+  const cellIdsByType = { verts: [], lines: [], polys: [], strips: [] };
+  const faces = new Map();
+
+  const addCell = (name, cellId, pointIds) => {
+    cellsByType[name].push(pointIds.length, ...pointIds);
+    cellIdsByType[name].push(cellId);
+  };
+
+  let offset = 0;
+  for (let cellId = 0; cellId < types.length; cellId++) {
+    const nbPoints = cells[offset];
+    let pointIds = Array.from(
+      cells.subarray(offset + 1, offset + 1 + nbPoints)
+    );
+    offset += nbPoints + 1;
+
+    let type = types[cellId];
+    if (QUADRATIC_CELLS[type]) {
+      const [linearType, nbCorners] = QUADRATIC_CELLS[type];
+      type = linearType;
+      pointIds = pointIds.slice(0, nbCorners);
+    }
+
+    if (type === 1 || type === 2) {
+      addCell('verts', cellId, pointIds);
+    } else if (type === 3 || type === 4) {
+      addCell('lines', cellId, pointIds);
+    } else if (type === 5 || type === 7 || type === 9) {
+      addCell('polys', cellId, pointIds);
+    } else if (type === 6) {
+      addCell('strips', cellId, pointIds);
+    } else if (type === 8) {
+      const [p0, p1, p2, p3] = pointIds;
+      addCell('polys', cellId, [p0, p1, p3, p2]);
+    } else if (CELL_FACES[type]) {
+      CELL_FACES[type].forEach((face) => {
+        const facePointIds = face.map((i) => pointIds[i]);
+        const key = facePointIds
+          .slice()
+          .sort((a, b) => a - b)
+          .join(' ');
+        if (faces.has(key)) {
+          // Interior face
+          faces.set(key, null);
+        } else {
+          faces.set(key, [cellId, facePointIds]);
+        }
+      });
+    }
+  }
+  faces.forEach((face) => {
+    if (face) {
+      addCell('polys', ...face);
+    }
+  });
+
+  polydata.getVerts().setData(Uint32Array.from(cellsByType.verts));
+  polydata.getLines().setData(Uint32Array.from(cellsByType.lines));
+  polydata.getPolys().setData(Uint32Array.from(cellsByType.polys));
+  polydata.getStrips().setData(Uint32Array.from(cellsByType.strips));
+
+  // Cell data follows the polydata cell order
+  const cellIds = [
+    ...cellIdsByType.verts,
+    ...cellIdsByType.lines,
+    ...cellIdsByType.polys,
+    ...cellIdsByType.strips,
+  ];
+  const cellData = polydata.getCellData();
+  const scalars = cellData.getScalars();
+  const arrays = cellData.getArrays();
+  cellData.removeAllArrays();
+  arrays.forEach((array) => cellData.addArray(gatherTuples(array, cellIds)));
+  if (scalars) {
+    cellData.setActiveScalars(scalars.getName());
+  }
+
+  polydata.modified();
+  return polydata;
+}
@@ -0,0 +1,34 @@
+import React, { useContext } from 'react';
+import ReactDOM from 'react-dom';
+
+import {
+  View,
+  GeometryRepresentation,
+  Algorithm,
+  Contexts,
+  useFrame,
+} from 'react-vtk-js';
+
+function Spin(props) {
+  const representation = useContext(Contexts.RepresentationContext);
+  useFrame((time, delta) => {
+    representation.actor.rotateY((props.speed * delta) / 1000);
+  });
+  return null;
+}
+
+function Example(props) {
+  return (
+    <div style={{width: '100vw', height: '100vh'}}>
+      <View animate>
+        <GeometryRepresentation property={{ color: [0.3, 0.3, 1] }}>
+          <Spin speed={90} />
+          <Algorithm vtkClass="vtkConeSource" />
+        </GeometryRepresentation>
+      </View>
+    </div>
+  );
+}
+
+// Render React object
+ReactDOM.render(<Example />, document.querySelector('.root'));
@@ -1,15 +1,23 @@
-import React from 'react';
+import React, { useMemo, useState } from 'react';
 import ReactDOM from 'react-dom';
 
 import { newInstance as newVtkPlaneInstance } from '@kitware/vtk.js/Common/DataModel/Plane.js';
 
-import { Algorithm, View, GeometryRepresentation, Reader } from 'react-vtk-js';
+import {
+  Algorithm,
+  View,
+  GeometryRepresentation,
+  Reader,
+  WidgetManager,
+  ImplicitPlaneWidget,
+} from 'react-vtk-js';
 
 function Example(props) {
-  const plane = newVtkPlaneInstance({
+  const [cutPlane, setCutPlane] = useState({
     origin: [0, 0, 0],
     normal: [0, 0, 1],
   });
+  const plane = useMemo(() => newVtkPlaneInstance(cutPlane), [cutPlane]);
 
   return (
     <div style={{ width: '100vw', height: '100vh' }}>
@@ -26,6 +34,14 @@ function Example(props) {
             />
           </Algorithm>
         </GeometryRepresentation>
+        <WidgetManager>
+          <ImplicitPlaneWidget
+            bounds={[-1, 1, -1, 1, -1, 1]}
+            origin={cutPlane.origin}
+            normal={cutPlane.normal}
+            onChange={setCutPlane}
+          />
+        </WidgetManager>
       </View>
     </div>
   );
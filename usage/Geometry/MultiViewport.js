@@ -0,0 +1,30 @@
+import React from 'react';
+import ReactDOM from 'react-dom';
+
+import { View, Viewport, GeometryRepresentation, Algorithm } from 'react-vtk-js';
+
+const SOURCES = [
+  ['vtkConeSource', [0, 0, 0.5, 0.5], [0.2, 0.3, 0.4]],
+  ['vtkSphereSource', [0.5, 0, 1, 0.5], [0.3, 0.2, 0.4]],
+  ['vtkCubeSource', [0, 0.5, 0.5, 1], [0.4, 0.3, 0.2]],
+  ['vtkCylinderSource', [0.5, 0.5, 1, 1], [0.2, 0.4, 0.3]],
+];
+
+function Example(props) {
+  return (
+    <div style={{width: '100vw', height: '100vh'}}>
+      <View>
+        {SOURCES.map(([vtkClass, viewport, background]) => (
+          <Viewport key={vtkClass} viewport={viewport} background={background}>
+            <GeometryRepresentation>
+              <Algorithm vtkClass={vtkClass} />
+            </GeometryRepresentation>
+          </Viewport>
+        ))}
+      </View>
+    </div>
+  );
+}
+
+// Render React object
+ReactDOM.render(<Example />, document.querySelector('.root'));
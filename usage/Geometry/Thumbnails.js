@@ -0,0 +1,39 @@
+import React, { useState } from 'react';
+import ReactDOM from 'react-dom';
+
+import { View, GeometryRepresentation, Algorithm } from 'react-vtk-js';
+
+const RESOLUTIONS = [3, 4, 5, 6, 8, 12, 24, 60];
+
+function Thumbnail(props) {
+  const [image, setImage] = useState(null);
+  const capture = (view) => {
+    view.captureImage().then(setImage);
+  };
+  return (
+    <div style={{ display: 'inline-block', margin: 5 }}>
+      {image ? <img src={image} width={150} height={150} /> : 'Loading...'}
+      <View offscreen size={[150, 150]} onRendered={capture}>
+        <GeometryRepresentation>
+          <Algorithm
+            vtkClass='vtkConeSource'
+            state={{ resolution: props.resolution }}
+          />
+        </GeometryRepresentation>
+      </View>
+    </div>
+  );
+}
+
+function Example(props) {
+  return (
+    <div>
+      {RESOLUTIONS.map((resolution) => (
+        <Thumbnail key={resolution} resolution={resolution} />
+      ))}
+    </div>
+  );
+}
+
+// Render React object
+ReactDOM.render(<Example />, document.querySelector('.root'));
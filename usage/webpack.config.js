@@ -16,6 +16,9 @@ const entry = {
   CubeAxes: './Geometry/CubeAxes.js',
   Glyph: './Geometry/Glyph.js',
   PointCloud: './Geometry/PointCloud.js',
+  MultiViewport: './Geometry/MultiViewport.js',
+  Animation: './Geometry/Animation.js',
+  Thumbnails: './Geometry/Thumbnails.js',
   VolumeRendering: './Volume/VolumeRendering.js',
   SyntheticVolumeRendering: './Volume/SyntheticVolumeRendering.js',
   SliceRendering: './Volume/SliceRendering.js',